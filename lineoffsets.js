@@ -43,8 +43,8 @@ LineOffsets.prototype.line = function(offset) {
         var end = this.offsets[mid+1];
         if (offset < start) {
             high = mid-1;
-        } else if (offset > end) {
-            low = mid+1;
+        } else if (offset > end || (offset === end && mid+1 < this.offsets.length-1)) {
+            low = mid+1; // an offset at the start of a line belongs to that line
         } else {
             return mid;
         }
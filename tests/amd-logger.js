@@ -0,0 +1,10 @@
+// This script tests AMD module definitions; it is a dependency of amd-main.js
+define([], function () {
+	var prefix = "> ";
+	return {
+		log: function (message) {
+			console.log(prefix + message);
+		},
+		level: 1
+	};
+});
@@ -0,0 +1,9 @@
+// This script tests AMD dependencies, whose parameters are unified with the modules returned by amd-logger.js
+define(['./amd-logger', 'exports'], function (logger, exports) {
+	logger.log("started");
+	exports.logger = logger;
+});
+
+require(['./amd-logger'], function (sameLogger) {
+	sameLogger.level = 2;
+});
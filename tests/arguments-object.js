@@ -0,0 +1,23 @@
+// This script tests the arguments object: indexed accesses are renamed together with the parameters they alias
+function first(value, fallback) {
+	if (arguments.length < 2) {
+		fallback = null;
+	}
+	return arguments[0] || fallback;
+}
+
+function unknown(value) {
+	var i = 0;
+	return arguments[i] + value;
+}
+
+function aliased(value) {
+	var args = arguments;
+	return args[0] + value;
+}
+
+function strict(value) {
+	"use strict";
+	value = 1;
+	return arguments[0];
+}
@@ -0,0 +1,24 @@
+// This script tests block scoped let, const and class declarations
+var total = 0;
+let count = 1;
+{
+	let count = 2;
+	const step = 3;
+	class Counter {
+		increment() {
+			return count + step;
+		}
+	}
+	total = new Counter().increment();
+}
+for (let i = 0; i < 3; i++) {
+	let count = i;
+	total += count;
+}
+function shadow(x) {
+	if (x) {
+		let x = 1;
+		return x;
+	}
+	return count;
+}
@@ -0,0 +1,18 @@
+// This script tests unifying the arguments and return values of calls with named functions and methods
+function describe(person) {
+	return person.name + " (" + person.age + ")";
+}
+
+var format = function (entry) {
+	return {text: describe(entry)};
+};
+
+var printer = {
+	print: function (entry) {
+		console.log(format(entry).text);
+	}
+};
+
+var alice = {name: "Alice", age: 30};
+describe(alice);
+printer.print({name: "Bob", age: 25});
@@ -0,0 +1,43 @@
+// This script tests classes with constructors, methods, accessors and inheritance
+class Point {
+	constructor(x, y) {
+		this.x = x;
+		this.y = y;
+	}
+	get norm() {
+		return Math.sqrt(this.x * this.x + this.y * this.y);
+	}
+	static origin() {
+		return new Point(0, 0);
+	}
+}
+
+class Point3D extends Point {
+	constructor(x, y, z) {
+		super(x, y);
+		this.z = z;
+	}
+	get norm() {
+		return Math.sqrt(super.norm * super.norm + this.z * this.z);
+	}
+}
+
+var p = new Point3D(1, 2, 3);
+p.x = p.norm;
+
+// The methods of subclasses of unrelated classes are not renamed together
+class Size {
+	constructor(width, height) {
+		this.width = width;
+		this.height = height;
+	}
+}
+
+class Square extends Size {
+	constructor(side) {
+		super(side, side);
+	}
+	get norm() {
+		return this.width;
+	}
+}
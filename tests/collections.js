@@ -0,0 +1,35 @@
+// This script tests objects stored in arrays, maps and sets, and read back through indexing, loops and callbacks
+var tasks = [{title: "write", done: false}];
+tasks.push({title: "test", done: true});
+
+for (var i = 0; i < tasks.length; i++) {
+	tasks[i].done = !tasks[i].done;
+}
+tasks.forEach(function (task) {
+	console.log(task.title);
+});
+var titles = tasks.map(function (task) {
+	return {text: task.title};
+});
+for (var entry of titles) {
+	entry.text += "!";
+}
+
+var byTitle = new Map();
+byTitle.set("write", tasks[0]);
+byTitle.get("write").done = true;
+var seen = new Set();
+seen.add(tasks[1]);
+seen.forEach(function (task) {
+	task.title.trim();
+});
+
+var archived = [].concat(tasks);
+archived[0].title = "archived";
+
+// Methods named like those of collections are not modelled on other objects
+var registry = {
+	add: undefined,
+	get: undefined
+};
+registry.add({title: "unrelated"});
@@ -0,0 +1,17 @@
+// This script tests CommonJS exports; it is required by commonjs-main.js
+var defaults = {start: 0, step: 1};
+
+function Counter(options) {
+	this.value = options.start;
+	this.step = options.step;
+}
+Counter.prototype.next = function() {
+	this.value += this.step;
+	return this.value;
+};
+
+module.exports = Counter;
+module.exports.defaults = defaults;
+exports.create = function() {
+	return new Counter(defaults);
+};
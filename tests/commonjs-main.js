@@ -0,0 +1,7 @@
+// This script tests require calls, whose results are unified with the exports of commonjs-counter.js
+var Counter = require('./commonjs-counter');
+var create = require('./commonjs-counter.js').create;
+
+var counter = new Counter(Counter.defaults);
+counter.next();
+create().next();
@@ -0,0 +1,20 @@
+// This script tests property completion on objects, instances and incomplete member expressions
+function Queue() {
+	this.items = [];
+}
+Queue.prototype.push = function(item) {
+	this.items.push(item);
+};
+Queue.prototype.peek = function() {
+	return this.items[0];
+};
+
+var queue = new Queue();
+queue.push(1);
+queue.push(2);
+queue.peek();
+
+var options = {timeout: 100, retries: 2};
+if (options.timeout > options.retries) {
+	queue.pe
+}
@@ -0,0 +1,16 @@
+// This script tests destructuring patterns in declarations, parameters and assignments
+var point = {x: 1, y: 2, tags: ["a", "b"]};
+var {x, y: top, tags: [first, ...rest]} = point;
+var [one, , three = 3] = [1, 2];
+
+function move({x, y}, [dx, dy] = [0, 0]) {
+	return {x: x + dx, y: y + dy};
+}
+
+var moved = move(point, [1, 1]);
+({x, y: top} = moved);
+[one, three] = [three, one];
+
+[point, moved].forEach(function ({x: left}) {
+	left += rest.length;
+});
@@ -0,0 +1,18 @@
+// This script tests with statements and eval, which make the variables they may access unsafe to rename
+var style = {color: "red", margin: 0};
+var margin = 4;
+
+with (style) {
+	color = "blue";
+	margin = margin + 1;
+}
+
+function evaluate(code) {
+	var local = 1;
+	return eval(code) + local;
+}
+
+function indirect(code) {
+	var hidden = 2;
+	return (0, eval)(code) + hidden + new Function("return margin")();
+}
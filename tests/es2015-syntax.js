@@ -0,0 +1,26 @@
+// This script tests ES2015 syntax: for-of, templates, tagged templates, spread, generators and computed methods
+var key = "size";
+var base = {
+	size: 1,
+	[key + "Label"]: "one",
+	describe() {
+		return `${this.size} item`;
+	}
+};
+var copy = Object.assign({}, base);
+
+function tag(strings, ...values) {
+	return strings.raw.join("") + values.length;
+}
+var label = tag`size: ${base.size}`;
+
+function* sizes(items) {
+	for (var item of items) {
+		yield item.size;
+	}
+	yield* [copy.size];
+}
+
+var all = [...sizes([base, copy]), Math.max(...[1, 2])];
+var arrow = (x) => ({size: x});
+arrow(2).size;
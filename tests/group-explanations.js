@@ -0,0 +1,21 @@
+// This script tests explanations of property groups: each group is merged by a different kind of unification
+var first = {label: "a"};
+var second = {};
+second = first;
+second.label;
+
+var chosen = Math.random() > 0.5 ? {label: "b"} : {label: "c"};
+chosen.label;
+
+function show(item) {
+	return item.label;
+}
+show({label: "d"});
+show({label: "e"});
+
+function Widget() {
+	this.label = "f";
+}
+Widget.prototype.render = function() {
+	return this.label;
+};
@@ -0,0 +1,15 @@
+// This script tests declared, built-in, implicit and undeclared global variables
+var declared = 1;
+
+function setup() {
+	implicitCount = declared + 1;
+	window.title = document.title;
+	if (typeof optionalFeature !== "undefined") {
+		optionalFeature();
+	}
+}
+
+function strictSetup() {
+	"use strict";
+	undeclaredCount = implicitCount + 1;
+}
@@ -0,0 +1,20 @@
+// This script tests library models of built-in functions: Object.create, call, apply, bind and Object.assign
+var base = {
+	greet: function (greeting) {
+		return greeting + ", " + this.name;
+	}
+};
+var child = Object.create(base);
+child.name = "child";
+child.greet("hi");
+
+var other = {name: "other"};
+base.greet.call(other, "hello");
+base.greet.apply(other, ["hey"]);
+var bound = base.greet.bind(other);
+bound("yo");
+
+var merged = Object.assign({}, other, {extra: true});
+merged.name = merged.extra ? "merged" : merged.name;
+
+document.getElementById("output").textContent = child.name;
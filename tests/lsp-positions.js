@@ -0,0 +1,8 @@
+// This script tests positions used by the language server: non-ASCII text before identifiers on the same line
+var greeting = "héllo wörld 🌍"; var target = {name: "wörld"};
+
+function greet(person) {
+	return greeting + ", " + person.name + " ✓";
+}
+
+greet(target); /* ünïcödé */ target.name = "🌍";
@@ -0,0 +1,8 @@
+// This script tests ES module imports renamed together with the exports of module-shapes.js
+import Shape, {area, unit as square, factor} from './module-shapes';
+import * as shapes from './module-shapes';
+
+var big = new Shape(square.width * factor, 3);
+var size = area(big) + shapes.area(shapes.unit);
+
+export {size};
@@ -0,0 +1,16 @@
+// This script tests ES module exports; it is imported by module-main.js
+export function area(shape) {
+	return shape.width * shape.height;
+}
+
+export const unit = {width: 1, height: 1};
+
+var scale = 2;
+export {scale as factor};
+
+export default class Shape {
+	constructor(width, height) {
+		this.width = width;
+		this.height = height;
+	}
+}
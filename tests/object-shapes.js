@@ -0,0 +1,18 @@
+// This script tests the inferred shapes of objects created by literals, constructors and namespaces
+function Vector(x, y) {
+	this.x = x;
+	this.y = y;
+}
+Vector.prototype.length = function() {
+	return Math.sqrt(this.x * this.x + this.y * this.y);
+};
+
+var geometry = {
+	Vector: Vector,
+	origin: new Vector(0, 0),
+	unit: new Vector(1, 0)
+};
+
+var config = {precision: 2};
+config.rounding = "half-up";
+geometry.origin.length();
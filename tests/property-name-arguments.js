@@ -0,0 +1,13 @@
+// This script tests property names given as strings to built-in functions and the in operator
+var account = {balance: 0};
+
+Object.defineProperty(account, "owner", {
+	value: "nobody",
+	writable: false
+});
+
+if (account.hasOwnProperty("balance") && "owner" in account) {
+	account.balance += account.owner.length;
+}
+Object.getOwnPropertyDescriptor(account, 'balance');
+Object.prototype.hasOwnProperty.call(account, "owner");
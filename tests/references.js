@@ -0,0 +1,18 @@
+// This script tests finding the declarations, writes and reads of variables, properties and labels
+var total = 0;
+var cart = {items: [], total: 0};
+
+function add(price) {
+	cart.items.push(price);
+	cart.total += price;
+	total = total + price;
+	return cart.total;
+}
+
+add(3);
+add(4);
+
+loop:
+for (var i = 0; i < cart.items.length; i++) {
+	if (cart.items[i] > total) break loop;
+}
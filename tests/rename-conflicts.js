@@ -0,0 +1,27 @@
+// This script tests rename conflicts: redeclarations, captured and shadowed references, labels and built-ins
+var width = 10;
+var height = 20;
+
+function area(w) {
+	var h = height;
+	return w * h;
+}
+
+function scaled(factor) {
+	var width = 1;
+	return function (size) {
+		return size * factor * width;
+	};
+}
+
+outer:
+for (var i = 0; i < width; i++) {
+	inner:
+	for (var j = 0; j < height; j++) {
+		if (j > i) continue outer;
+		if (j === i) break inner;
+	}
+}
+
+var box = {width: width, depth: 5};
+box.depth = Math.max(box.depth, area(box.width));
@@ -0,0 +1,12 @@
+// This script tests renaming edits in string literals, quoted keys and shorthand properties
+var name = "box";
+var size = 4;
+var item = {name, size, "color": 'red'};
+
+item["name"] = item['name'] + "!";
+item.color = item["color"];
+
+function describe({name, size}) {
+	return name + ": " + size;
+}
+describe(item);
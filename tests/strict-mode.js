@@ -0,0 +1,29 @@
+// This script tests strict mode: directives in scripts and functions, and the scoping rules that differ
+function sloppy(a) {
+	arguments[0] = 2;
+	if (a) {
+		function helper() {
+			return a;
+		}
+	}
+	return helper;
+}
+
+function strict(a) {
+	"use strict";
+	arguments[0] = 2;
+	if (a) {
+		function helper() {
+			return a;
+		}
+	}
+	return typeof helper;
+}
+
+var counter = {
+	count: 0,
+	increment: function () {
+		'use strict';
+		this.count++;
+	}
+};
@@ -0,0 +1,14 @@
+// This script tests error recovery: the lines with syntax errors are skipped and the rest is still analysed
+var settings = {theme: "dark", fontSize: 12};
+
+function apply(target) {
+	target.theme = settings.theme;
+	var size = settings.fontSize +;
+	return target;
+}
+
+settings.
+apply({theme: null});
+if (settings.fontSize > 10 {
+	settings.theme = "light";
+}
@@ -0,0 +1,9 @@
+// This script tests updating and removing a file; update-user.js uses the global declared here
+var config = {
+	verbose: false,
+	retries: 3
+};
+
+function configure(options) {
+	config.verbose = options.verbose;
+}
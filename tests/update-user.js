@@ -0,0 +1,6 @@
+// This script tests updating and removing a file; its references to update-config.js change when that file does
+configure({verbose: true});
+
+if (config.verbose) {
+	config.retries--;
+}
@@ -0,0 +1,7 @@
+// This script tests global variables shared by global objects; worker-main.js loads it with importScripts
+var cache = {hits: 0};
+
+function lookup(key) {
+	cache.hits++;
+	return cache[key];
+}
@@ -0,0 +1,7 @@
+// This script tests a separate global object: it is added with the global_id option, e.g. "worker"
+importScripts('./worker-helpers.js');
+
+var cache = lookup("config");
+self.onmessage = function (event) {
+	postMessage(cache.hits + event.data);
+};
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+// Language Server Protocol server for renaming and finding references.
+// Communicates over stdin/stdout. Documents are identified by their URI, which is also used as
+// the file name in the JavaScriptBuffer, so relative imports between open documents can be resolved.
+
+var JavaScriptBuffer = require('../type-inference');
+var LineOffsets = require('../lineoffsets');
+var Map = require('../map');
+
+var buffer = new JavaScriptBuffer;
+var documents = new Map; // uri -> {text, lineOffsets}
+var shutdownRequested = false;
+
+// Error codes defined by JSON-RPC and LSP
+var ParseError = -32700;
+var InvalidRequest = -32600;
+var MethodNotFound = -32601;
+var InternalError = -32603;
+var RequestFailed = -32803;
+
+// Messages
+// --------
+// Each message is a JSON object preceded by a Content-Length header.
+var input = Buffer.alloc(0);
+process.stdin.on('data', function (chunk) {
+	input = Buffer.concat([input, chunk]);
+	while (true) {
+		var headerEnd = input.indexOf('\r\n\r\n');
+		if (headerEnd === -1)
+			return;
+		var header = input.slice(0, headerEnd).toString('ascii');
+		var match = /Content-Length: *(\d+)/i.exec(header);
+		if (!match) {
+			input = input.slice(headerEnd + 4); // skip malformed header
+			continue;
+		}
+		var length = parseInt(match[1], 10);
+		if (input.length < headerEnd + 4 + length)
+			return;
+		var body = input.slice(headerEnd + 4, headerEnd + 4 + length).toString('utf8');
+		input = input.slice(headerEnd + 4 + length);
+		var msg;
+		try {
+			msg = JSON.parse(body);
+		} catch (e) {
+			send({id: null, error: {code: ParseError, message: "Invalid JSON: " + e.message}});
+			continue;
+		}
+		if (!msg || typeof msg !== 'object') {
+			send({id: null, error: {code: InvalidRequest, message: "Message is not an object"}});
+			continue;
+		}
+		handleMessage(msg);
+	}
+});
+
+function send(message) {
+	message.jsonrpc = "2.0";
+	var body = Buffer.from(JSON.stringify(message), 'utf8');
+	process.stdout.write('Content-Length: ' + body.length + '\r\n\r\n');
+	process.stdout.write(body);
+}
+
+function ResponseError(code, message) {
+	this.code = code;
+	this.message = message;
+}
+
+function handleMessage(msg) {
+	var handler = handlers[msg.method];
+	var isRequest = msg.id !== undefined && msg.id !== null;
+	if (!handler) {
+		if (isRequest) {
+			send({id: msg.id, error: {code: MethodNotFound, message: "Unhandled method " + msg.method}});
+		}
+		return;
+	}
+	try {
+		var result = handler(msg.params || {});
+		if (isRequest) {
+			send({id: msg.id, result: result === undefined ? null : result});
+		}
+	} catch (e) {
+		if (!isRequest) {
+			console.error(e && e.stack || e);
+			return;
+		}
+		if (e instanceof ResponseError) {
+			send({id: msg.id, error: {code: e.code, message: e.message}});
+		} else {
+			send({id: msg.id, error: {code: InternalError, message: String(e && e.message || e)}});
+		}
+	}
+}
+
+// Positions
+// ---------
+// LSP positions are line and character, where characters are UTF-16 code units. JavaScript strings are also
+// indexed by UTF-16 code units, so offsets into the document text can be converted using LineOffsets.
+function toOffset(uri, position) {
+	return documents.get(uri).lineOffsets.offset(position.line, position.character);
+}
+function toPosition(uri, offset) {
+	var pos = documents.get(uri).lineOffsets.position(offset);
+	return {line: pos.line, character: pos.column};
+}
+function toRange(range) {
+	return {start: toPosition(range.file, range.start.offset), end: toPosition(range.file, range.end.offset)};
+}
+function toLocation(range) {
+	return {uri: range.file, range: toRange(range)};
+}
+function hasDocument(uri) {
+	return documents.has(uri);
+}
+
+function getFileType(languageId, uri) {
+	return languageId === 'html' || /\.html?$/i.test(uri) ? "html" : "js";
+}
+
+// Handlers
+// --------
+var handlers = {};
+
+handlers['initialize'] = function (params) {
+	return {
+		capabilities: {
+			textDocumentSync: 1, // full document text is sent on each change
+			renameProvider: {prepareProvider: true},
+			referencesProvider: true,
+			documentHighlightProvider: true,
+			definitionProvider: true
+		}
+	};
+};
+handlers['initialized'] = function (params) {};
+handlers['shutdown'] = function (params) {
+	shutdownRequested = true;
+	return null;
+};
+handlers['exit'] = function (params) {
+	process.exit(shutdownRequested ? 0 : 1);
+};
+
+handlers['textDocument/didOpen'] = function (params) {
+	var doc = params.textDocument;
+	setDocument(doc.uri, doc.text, {type: getFileType(doc.languageId, doc.uri)});
+};
+handlers['textDocument/didChange'] = function (params) {
+	var changes = params.contentChanges;
+	if (changes.length === 0)
+		return;
+	setDocument(params.textDocument.uri, changes[changes.length-1].text);
+};
+handlers['textDocument/didClose'] = function (params) {
+	documents.remove(params.textDocument.uri);
+	buffer.remove(params.textDocument.uri);
+	send({method: 'textDocument/publishDiagnostics', params: {uri: params.textDocument.uri, diagnostics: []}});
+};
+
+function setDocument(uri, text, options) {
+	buffer.update(uri, text, options);
+	documents.put(uri, {text: text, lineOffsets: new LineOffsets(text)});
+	publishDiagnostics(uri);
+}
+
+// Syntax errors are reported as diagnostics; the rest of the document is still analysed.
+// References to undeclared global variables are reported as warnings.
+var SeverityError = 1;
+var SeverityWarning = 2;
+function publishDiagnostics(uri) {
+	var errors = buffer.diagnostics(uri).map(function (diagnostic) {
+		return {range: toRange(diagnostic.range), severity: SeverityError, message: diagnostic.message};
+	});
+	var warnings = buffer.undeclaredReferences(uri).map(function (reference) {
+		return {range: toRange(reference.range), severity: SeverityWarning, message: reference.message};
+	});
+	send({
+		method: 'textDocument/publishDiagnostics',
+		params: {uri: uri, diagnostics: errors.concat(warnings)}
+	});
+}
+
+handlers['textDocument/prepareRename'] = function (params) {
+	var uri = params.textDocument.uri;
+	if (!hasDocument(uri))
+		return null;
+	var offset = toOffset(uri, params.position);
+	var references = buffer.findReferences(uri, offset);
+	if (references === null)
+		return null;
+	for (var i=0; i<references.length; i++) {
+		var range = references[i];
+		if (range.file === uri && range.start.offset <= offset && offset <= range.end.offset) {
+			var text = documents.get(uri).text;
+			return {range: toRange(range), placeholder: text.substring(range.start.offset, range.end.offset)};
+		}
+	}
+	return null;
+};
+
+handlers['textDocument/rename'] = function (params) {
+	var uri = params.textDocument.uri;
+	if (!hasDocument(uri))
+		return null;
+	var offset = toOffset(uri, params.position);
+	var conflicts = buffer.checkRename(uri, offset, params.newName);
+	if (conflicts === null)
+		throw new ResponseError(RequestFailed, "The element cannot be renamed");
+	if (conflicts.length > 0)
+		throw new ResponseError(RequestFailed, conflicts.map(function (c) { return c.message }).join('\n'));
+	var changes = {};
+	buffer.rename(uri, offset, params.newName).forEach(function (change) {
+		changes[change.file] = change.edits.map(function (edit) {
+			return {range: toRange({file: change.file, start: edit.start, end: edit.end}), newText: edit.text};
+		});
+	});
+	return {changes: changes};
+};
+
+handlers['textDocument/references'] = function (params) {
+	var uri = params.textDocument.uri;
+	if (!hasDocument(uri))
+		return null;
+	var references = buffer.findReferences(uri, toOffset(uri, params.position));
+	if (references === null)
+		return null;
+	var includeDeclaration = !params.context || params.context.includeDeclaration;
+	return references.filter(function (range) {
+		return includeDeclaration || range.kind !== "declaration";
+	}).map(toLocation);
+};
+
+handlers['textDocument/definition'] = function (params) {
+	var uri = params.textDocument.uri;
+	if (!hasDocument(uri))
+		return null;
+	var definitions = buffer.findDefinition(uri, toOffset(uri, params.position));
+	return definitions === null ? null : definitions.map(toLocation);
+};
+
+// Declarations and writes are highlighted as writes.
+var HighlightRead = 2;
+var HighlightWrite = 3;
+handlers['textDocument/documentHighlight'] = function (params) {
+	var uri = params.textDocument.uri;
+	if (!hasDocument(uri))
+		return null;
+	var references = buffer.findReferences(uri, toOffset(uri, params.position));
+	if (references === null)
+		return null;
+	return references.filter(function (range) {
+		return range.file === uri;
+	}).map(function (range) {
+		return {range: toRange(range), kind: range.kind === "read" ? HighlightRead : HighlightWrite};
+	});
+};
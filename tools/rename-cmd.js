@@ -4,7 +4,6 @@ var JavaScriptBuffer = require('../type-inference');
 var fs = require('fs');
 var clc = require('cli-color');
 var readline = require('readline');
-var _ = require('underscore');
 var Map = require('../map');
 
 // Parse command-line arguments
@@ -51,8 +50,18 @@ rl.question("Name of property to rename?\n> ", function (name) {
 	});
 });
 
+function printExplanation(explanation) {
+	if (explanation.reasons.length === 0)
+		return;
+	print("Grouped because of (confidence " + explanation.confidence + "):");
+	explanation.reasons.forEach(function (reason) {
+		print("  " + reason.message);
+	});
+}
+
 function queryRename(oldName, newName) {
-	var renaming = buffer.renamePropertyName(oldName);
+	var explained = buffer.explainPropertyName(oldName);
+	var renaming = explained.map(function (group) { return group.ranges });
 	var selected = {};
 	function queryNextRename(index) {
 		if (index >= renaming.length) {
@@ -62,6 +71,7 @@ function queryRename(oldName, newName) {
 		var group = renaming[index];
 		var item = group[0];
 		printRange(item);
+		printExplanation(explained[index]);
 		rl.question(clc.black("Rename this? (Y/n) "), function(answer) {
 			switch (answer) {
 				case 'y':
@@ -96,6 +106,13 @@ function queryRename(oldName, newName) {
 	}
 
 	function previewChanges(items) {
+		try {
+			buffer.applyRenaming(items, newName);
+		} catch (e) {
+			print(clc.red(e.message));
+			quit();
+			return;
+		}
 		var num_modifications = {};
 		files.forEach(function (file) {num_modifications[file] = 0});
 		items.forEach(function (item) {num_modifications[item.file]++});
@@ -117,9 +134,9 @@ function queryRename(oldName, newName) {
 			switch (cmd) {
 				case 'p':
 					var file2text = applyChanges(items, newName)
-					file2text.forEach(function (file,sb) {
+					file2text.forEach(function (file,text) {
 						print(">> " + file);
-						print(sb.toString());
+						print(text);
 					});
 					queryCommand(items);
 					break;
@@ -165,43 +182,17 @@ function writeToFiles(file2texts, file2path, callback) {
 	});
 }
 
-function StringBuilder() {
-	this.chunks = [];
-}
-StringBuilder.prototype.append = function(start) {
-	this.chunks.push(start.toString());
-};
-StringBuilder.prototype.toString = function() {
-	return this.chunks.join('');
-};
-StringBuilder.prototype.clear = function() {
-	this.chunks = [];
-};
-
 function applyChanges(items, newName) {
 	var result = new Map;
-	var file2changes = Map.groupBy(items, 'file');
 	files.forEach(function (file) {
-		result.put(file, applyChangesToFile(file2changes.get(file), newName, file));
+		result.put(file, file2text.get(file));
+	});
+	buffer.applyRenaming(items, newName).forEach(function (change) {
+		result.put(change.file, change.text);
 	});
 	return result;
 }
 
-function applyChangesToFile(items, newName, file) {
-	var sb = new StringBuilder;
-	var text = file2text.get(file);
-	items = _.sortBy(items, function (item) { return item.start.offset; });
-	var offset = 0;
-	for (var i=0; i<items.length; i++) {
-		var item = items[i];
-		sb.append(text.substring(offset, item.start.offset));
-		sb.append(newName);
-		offset = item.end.offset;
-	}
-	sb.append(text.substring(offset));
-	return sb;
-}
-
 function quit() {
 	rl.close();
 }
\ No newline at end of file
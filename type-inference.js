@@ -18,10 +18,14 @@
 // children of an AST node.
 // We use the convention that any property starting with `$` should not be considered a child node.
 function children(node) {
-    if (node.type === 'ExportSpecifier' && node.local === node.exported) {
+    if ((node.type === 'ExportSpecifier' && node.local === node.exported) ||
+        (node.type === 'ImportSpecifier' && node.local === node.imported)) {
         // Sometimes the AST is not actually a tree :(
         return [node.local]
     }
+    if (node.type === 'Property' && isShorthand(node)) {
+        return [node.value] // the key is the same node as the value (or the left-hand side of its default)
+    }
     var result = [];
     for (var k in node) {
         if (!node.hasOwnProperty(k))
@@ -46,6 +50,12 @@ function children(node) {
     return result;
 }
 
+// Esprima does not always set the `shorthand` flag on patterns with a default value, such as `var {x = 1} = obj`,
+// so we check whether the key node is shared instead.
+function isShorthand(prty) {
+    return prty.key === prty.value || (prty.value.type === 'AssignmentPattern' && prty.key === prty.value.left);
+}
+
 // We inject parent pointers into every node. Pointer pointers let refer directly to AST nodes
 // without needing to piggy-back a lot of contextual information.
 // I once did the refactoring logic without parent pointers, and it wasn't pretty. Parent pointers are good.
@@ -67,44 +77,262 @@ function getEnclosingFunction(node) {
     return node;
 }
 
+/** Name of the property defined by a `Property` or `MethodDefinition` node, or null if it is not statically known */
+function getPropertyName(prty) {
+    if (prty.key.type === 'Identifier' && !prty.computed) {
+        return prty.key.name;
+    } else if (prty.key.type === 'Literal' && typeof prty.key.value === 'string') {
+        return prty.key.value;
+    } else {
+        return null;
+    }
+}
+
+// In shorthand properties such as `{x}` the key and the value are the same identifier node.
+// Such an identifier is classified as a variable, but it also refers to a property of the enclosing object.
+// `getShorthandProperty` returns the shorthand property an identifier belongs to, or null.
+// When renaming the property, the renaming functions report the `Property` node instead of the identifier,
+// so the two meanings can be told apart when the renaming is applied.
+function getShorthandProperty(node) {
+    var parent = node.$parent;
+    if (parent.type === 'AssignmentPattern' && parent.left === node) {
+        parent = parent.$parent; // {x = default}
+    }
+    if (parent.type === 'Property' && parent.key === node && isShorthand(parent)) {
+        return parent;
+    }
+    return null;
+}
+
+function isFunction(node) {
+    return node.type === 'FunctionDeclaration' ||
+           node.type === 'FunctionExpression' ||
+           node.type === 'ArrowFunctionExpression';
+}
+
+// Destructuring patterns may bind any number of variables. `patternIdentifiers` returns the identifiers bound by a pattern.
+function patternIdentifiers(node, result) {
+    result = result || [];
+    switch (node.type) {
+        case 'Identifier':
+            result.push(node);
+            break;
+        case 'ObjectPattern':
+            for (var i=0; i<node.properties.length; i++) {
+                patternIdentifiers(node.properties[i].value, result);
+            }
+            break;
+        case 'ArrayPattern':
+            for (var i=0; i<node.elements.length; i++) {
+                if (node.elements[i] !== null) {
+                    patternIdentifiers(node.elements[i], result);
+                }
+            }
+            break;
+        case 'AssignmentPattern':
+            patternIdentifiers(node.left, result);
+            break;
+        case 'RestElement':
+            patternIdentifiers(node.argument, result);
+            break;
+    }
+    return result;
+}
+/** Identifiers declared by a variable, function or class declaration */
+function getDeclaredIdentifiers(decl) {
+    switch (decl.type) {
+        case 'VariableDeclaration':
+            var result = [];
+            for (var i=0; i<decl.declarations.length; i++) {
+                patternIdentifiers(decl.declarations[i].id, result);
+            }
+            return result;
+        case 'FunctionDeclaration':
+        case 'ClassDeclaration':
+            return decl.id !== null ? [decl.id] : [];
+        default:
+            return [];
+    }
+}
+function putPatternInEnv(env, pattern) {
+    patternIdentifiers(pattern).forEach(function (id) {
+        env.put(id.name, id);
+    });
+}
+
 // We annotate each scope with the set of variables they declare.
-function buildEnvs(node, scope) {
+// Variables declared with `var` and function declarations belong to the enclosing function (the `scope`), whereas
+// `let`, `const` and class declarations belong to the innermost block scope (the `block`).
+// A function body does not get its own block scope; lexical declarations at its top-level go into the function's `$env`.
+// Programs and functions are marked with a `$strict` flag telling if their code is strict mode code. In strict mode,
+// function declarations in blocks belong to the block, whereas in sloppy mode they belong to the enclosing function.
+function buildEnvs(node, scope, block, strict) {
     if (node.type === 'Program') {
-        scope = node;
+        scope = block = node;
         scope.$env = new Map;
+        strict = node.$strict = isModule(node) || hasUseStrictDirective(node.body);
     }
     switch (node.type) {
         case 'FunctionDeclaration':
         case 'FunctionExpression':
         case 'ArrowFunctionExpression':
-            if (node.type == 'FunctionDeclaration') {
-                scope.$env.put(node.id.name, node.id);
+            if (node.type == 'FunctionDeclaration' && node.id !== null) {
+                (strict ? block : scope).$env.put(node.id.name, node.id);
             }
-            scope = node;
+            scope = block = node;
+            strict = node.$strict = strict || (node.body.type === 'BlockStatement' && hasUseStrictDirective(node.body.body));
             node.$env = new Map;
             for (var i=0; i<node.params.length; i++) {
-                scope.$env.put(node.params[i].name, node.params[i]);
+                putPatternInEnv(scope.$env, node.params[i]);
             }
             if (node.type !== 'ArrowFunctionExpression') {
                 node.$env.put("arguments", node);
             }
             break;
         case 'VariableDeclarator':
-            scope.$env.put(node.id.name, node.id);
+            var target = node.$parent.kind === 'var' ? scope : block;
+            putPatternInEnv(target.$env, node.id);
+            break;
+        case 'ImportSpecifier':
+        case 'ImportDefaultSpecifier':
+        case 'ImportNamespaceSpecifier':
+            scope.$env.put(node.local.name, node.local);
+            break;
+        case 'ClassDeclaration':
+            if (node.id !== null) {
+                block.$env.put(node.id.name, node.id);
+            }
+            strict = true; // the body of a class is strict mode code
+            break;
+        case 'ClassExpression':
+            if (node.id !== null) { // the name of a class expression is only visible inside the class
+                block = node;
+                node.$env = new Map;
+                node.$env.put(node.id.name, node.id);
+            }
+            strict = true;
             break;
         case 'CatchClause':
+            block = node;
+            node.$env = new Map;
+            putPatternInEnv(node.$env, node.param);
+            break;
+        case 'BlockStatement':
+            if (isFunction(node.$parent))
+                break; // function body is not a separate scope
+            block = node;
+            node.$env = new Map;
+            break;
+        case 'ForStatement':
+        case 'ForInStatement':
+        case 'ForOfStatement':
+        case 'SwitchStatement':
+            block = node;
             node.$env = new Map;
-            node.$env.put(node.param.name, node.id);
             break;
     }
     var list = children(node);
     for (var i=0; i<list.length; i++) {
-        buildEnvs(list[i], scope);
+        buildEnvs(list[i], scope, block, strict);
     }
 }
 
-function getVarDeclScope(node) {
-    var name = node.name;
+/** True if the directive prologue of the given statements contains a "use strict" directive */
+function hasUseStrictDirective(body) {
+    for (var i=0; i<body.length; i++) {
+        var stmt = body[i];
+        if (stmt.type !== 'ExpressionStatement' || stmt.expression.type !== 'Literal' ||
+                typeof stmt.expression.value !== 'string')
+            return false; // end of the directive prologue
+        var raw = stmt.expression.raw;
+        if (raw.substring(1, raw.length-1) === 'use strict') // escape sequences are not allowed in the directive
+            return true;
+    }
+    return false;
+}
+
+/** True if the given node is in strict mode code */
+function isStrict(node) {
+    while (node.$strict === undefined) {
+        node = node.$parent;
+    }
+    return node.$strict;
+}
+
+// In sloppy mode functions with simple parameter lists, the elements of `arguments` are aliased to the parameters,
+// so assigning to one changes the other. Arrow functions have no `arguments` object of their own.
+function hasAliasedArguments(fun) {
+    if (fun.$strict || fun.type === 'ArrowFunctionExpression')
+        return false;
+    return fun.params.every(function (param) { return param.type === 'Identifier' }) &&
+           !(fun.defaults && fun.defaults.some(function (def) { return def }));
+}
+
+/** The function whose `arguments` object the given node refers to, or null */
+function getArgumentsFunction(node) {
+    if (node.type !== 'Identifier' || node.name !== 'arguments' || !isVariableId(node))
+        return null;
+    var scope = getVarDeclScope(node);
+    return isFunction(scope) && scope.$env.get('arguments') === scope ? scope : null;
+}
+
+/** True if the given node is a literal that can index the elements of `arguments` */
+function isArgumentIndex(node) {
+    return node.type === 'Literal' && typeof node.value === 'number' && node.value >= 0 && node.value % 1 === 0;
+}
+
+// A parameter of a function with aliased arguments is also accessed by `arguments[n]`, where `n` is its index.
+// These member expressions are reported as references to the parameter, but are not renamed.
+function getArgumentsAliases(group) {
+    var id = group[0];
+    if (!id || id.type !== 'Identifier' || !isVariableId(id))
+        return [];
+    var fun = getVarDeclScope(id);
+    if (!isFunction(fun) || !hasAliasedArguments(fun))
+        return [];
+    var index = fun.params.map(function (param) { return param.name }).lastIndexOf(id.name);
+    if (index === -1)
+        return [];
+    var result = [];
+    findArgumentsReferences(fun).forEach(function (ref) {
+        var parent = ref.$parent;
+        if (parent.type === 'MemberExpression' && parent.object === ref && parent.computed &&
+                isArgumentIndex(parent.property) && parent.property.value === index) {
+            result.push(parent);
+        }
+    });
+    return result;
+}
+
+/** True unless the given reference to `arguments` certainly does not access the parameter with the given index */
+function mayAccessParameter(ref, index) {
+    var parent = ref.$parent;
+    if (parent.type !== 'MemberExpression' || parent.object !== ref)
+        return true; // the arguments object escapes
+    if (!parent.computed)
+        return parent.property.name !== 'length';
+    return !isArgumentIndex(parent.property) || parent.property.value === index;
+}
+
+// Top-level declarations in a script are global variables, but in ES6 module code they are local to the module.
+function isModule(node) {
+    return node.type === 'Program' && node.sourceType === 'module';
+}
+
+/** True if `node` is a scope other than the global scope which declares the given name */
+function declaresVar(node, name) {
+    return (node.type !== 'Program' || isModule(node)) && node.$env !== undefined && node.$env.has(name);
+}
+
+/** True if a variable whose declaring scope is `scope` (as returned by `getVarDeclScope`) is a global variable */
+function isGlobalVarScope(scope, name) {
+    return scope.type === 'Program' && !declaresVar(scope, name);
+}
+
+/** Scope declaring the variable referenced by the given identifier. If `name` is given, finds the scope
+    that would declare a variable of that name if it were referenced in place of the identifier. */
+function getVarDeclScope(node, name) {
+    name = name || node.name;
     var prev = node;
     node = node.$parent;
     while (node) {
@@ -115,10 +343,12 @@ function getVarDeclScope(node) {
                 if (prev !== node.id && node.$env.has(name))
                     return node;
                 break;
-            case 'FunctionExpression':
-            case 'ArrowFunctionExpression':
-            case 'CatchClause':
-                if (node.$env.has(name))
+            case 'SwitchStatement':
+                if (prev !== node.discriminant && node.$env.has(name))
+                    return node;
+                break;
+            default:
+                if (declaresVar(node, name))
                     return node;
                 break;
         }
@@ -128,7 +358,6 @@ function getVarDeclScope(node) {
     return null;
 }
 
-
 // `findNode` finds an AST node from an absolute source file position. More precisely, it finds the
 // deepest nested node whose range contains the given position. It lets us find the identifier token
 // under the user's curser when the refactoring is initiated.
@@ -176,6 +405,7 @@ function findNode(node, file, offset) {
 // A `TypeNode` is a node in an augmented union-find data structure. Root nodes represent types.
 // The `prty` field maps strings (property names) to type nodes.
 // The `namespace` boolean denotes whether the type seems to be a namespace object.
+// The `callable` boolean denotes whether a function in the analysed code has this type.
 // The `id` field is a unique identifier for each node.
 var type_node_id = 0;
 function TypeNode() {
@@ -184,6 +414,7 @@ function TypeNode() {
     this.rank = 0;
     this.prty = new Map;
     this.namespace = false;
+    this.callable = false;
 }
 /** Returns root node, and performs path compression */
 TypeNode.prototype.rep = function() {
@@ -208,16 +439,25 @@ TypeNode.prototype.getPrty = function(name) {
 
 
 // The `TypeUnifier` implements the unification procedure of the union-find algorithm.
-// Calling `unify(x,y)` will unify x and y. The `prty` maps of x and y will be partially
+// Calling `unify(x,y,reason)` will unify x and y. The `prty` maps of x and y will be partially
 // merged; the merging will be completed by calling the `complete` method.
+//
+// Each unification that merges two types is recorded as an edge `{x, y, reason}` between the original type nodes.
+// The edges form a spanning tree of each type, so the path between two type nodes explains why they were unified.
+// The reason is the AST node that caused the unification, or an object `{kind, node}`. When the properties of two
+// merged types are unified, the reason is `{kind:"property", name, cause}` where `cause` is the edge that merged them.
 function TypeUnifier() {
     this.queue = [];
+    this.edges = [];
 }
-TypeUnifier.prototype.unify = function(x,y) {
+TypeUnifier.prototype.unify = function(x,y,reason) {
+    var x0 = x, y0 = y;
     x = x.rep();
     y = y.rep();
     if (x === y)
         return;
+    var edge = {x: x0, y: y0, reason: reason || null};
+    this.edges.push(edge);
     if (x.rank < y.rank) {
         var z = x; // swap x,y so x has the highest rank
         x = y;
@@ -227,6 +467,7 @@ TypeUnifier.prototype.unify = function(x,y) {
     }
     y.parent = x;
     x.namespace |= y.namespace;
+    x.callable |= y.callable;
     var src = y.prty;
     var dst = x.prty;
     for (var k in src) {
@@ -235,7 +476,7 @@ TypeUnifier.prototype.unify = function(x,y) {
         if (!src.hasOwnProperty(k))
             continue;
         if (dst.hasOwnProperty(k)) {
-            this.unifyLater(src[k], dst[k]);
+            this.unifyLater(src[k], dst[k], {kind: "property", name: k.substring(1), cause: edge});
         } else {
             dst[k] = src[k];
         }
@@ -243,9 +484,11 @@ TypeUnifier.prototype.unify = function(x,y) {
     delete y.rank;
     delete y.prty;
     delete y.namespace;
+    delete y.callable;
 };
-TypeUnifier.prototype.unifyLater = function(x,y) {
+TypeUnifier.prototype.unifyLater = function(x,y,reason) {
     if (x != y) {
+        this.queue.push(reason || null);
         this.queue.push(x);
         this.queue.push(y);
     }
@@ -255,19 +498,347 @@ TypeUnifier.prototype.complete = function() {
     while (q.length > 0) {
         var x = q.pop();
         var y = q.pop();
-        this.unify(x,y);
+        var reason = q.pop();
+        this.unify(x,y,reason);
+    }
+};
+
+// Built-in methods of arrays, sets and maps that are modelled by the type inference, by the way they use elements
+// (see `visitCollectionCall`), and the functions creating these collections
+var CollectionMethods = {
+    push: "insert", unshift: "insert", add: "insert",
+    set: "insertAt", splice: "insertAt",
+    pop: "element", shift: "element", get: "element",
+    forEach: "iterate", some: "iterate", every: "iterate", findIndex: "iterate",
+    find: "find",
+    filter: "filter",
+    sort: "sort",
+    slice: "copy", concat: "copy", reverse: "copy", values: "copy",
+    map: "map",
+    reduce: "reduce", reduceRight: "reduce"
+};
+var CollectionConstructors = ["Array", "Map", "Set", "WeakMap", "WeakSet", "Array.from", "Array.of"];
+
+// Library Models
+// --------------
+// Library models give meaning to built-in functions and objects, which are otherwise just properties of the global
+// object. A model is an object with an optional `setup(global, unify)` function, called before type inference with
+// the type of the global object and a function unifying any number of types, and an optional `calls` object mapping
+// names of built-in functions to functions `model(call)`, called after the traversal for each call to it.
+// Names are access paths from the global object, such as `"Object.create"`, or method names preceded by a dot,
+// such as `".call"`, matching calls to a method of that name on any object. A call is not modelled if its callee
+// turned out to be a function in the analysed code. A model with a true `browser` field only applies to the global
+// objects of browser pages, which are those of HTML files and of files added with the `browser` option.
+// The `call` object has the following fields:
+//
+//     node: the CallExpression or NewExpression node
+//     receiver: type of the object whose method is called, or null
+//     args: types of the arguments
+//     result: type of the call expression
+//     maxArguments: the largest number of arguments given in any call
+//
+// and the methods `argument(index)` (type of an argument, also if it is missing), `argumentValue(index)` (value of a
+// string literal argument, or null), `unify(x, y, ...)`, `global(name)` (type of a global variable), and
+// `param(fun, index)`, `returnType(fun)` and `thisType(fun)` for the types of functions.
+// The type of a function is unified with the type of `this` in its body through its `@this` property.
+
+/** Shared type of the instances of the built-in constructor with the given name */
+function instanceType(call, name) {
+    return call.global(name).getPrty("prototype");
+}
+/** Models `Object.defineProperty(obj, name, descriptor)` for the given object and descriptor types */
+function defineProperty(call, obj, name, descriptor) {
+    call.unify(obj.getPrty(name), descriptor.getPrty("value"), call.returnType(descriptor.getPrty("get")),
+               call.param(descriptor.getPrty("set"), 0));
+    call.unify(obj, call.thisType(descriptor.getPrty("get")), call.thisType(descriptor.getPrty("set")));
+}
+/** Models `Object.defineProperties(obj, descriptors)` */
+function defineProperties(call, obj, descriptors) {
+    descriptors.rep().prty.forEach(function (name, descriptor) {
+        if (name[0] !== '@') {
+            defineProperty(call, obj, name, descriptor);
+        }
+    });
+}
+
+var ECMAScriptModel = {
+    calls: {
+        "Object.create": function (call) {
+            call.unify(call.result, call.argument(0)); // objects have the type of their prototype
+            defineProperties(call, call.result, call.argument(1));
+        },
+        "Object.assign": function (call) {
+            call.unify.apply(null, [call.result].concat(call.args));
+        },
+        "Object.defineProperty": function (call) {
+            var name = call.argumentValue(1);
+            if (name !== null) {
+                defineProperty(call, call.argument(0), name, call.argument(2));
+            }
+            call.unify(call.result, call.argument(0));
+        },
+        "Object.defineProperties": function (call) {
+            defineProperties(call, call.argument(0), call.argument(1));
+            call.unify(call.result, call.argument(0));
+        },
+        "Object.getPrototypeOf": function (call) {
+            call.unify(call.result, call.argument(0));
+        },
+        "Object.setPrototypeOf": function (call) {
+            call.unify(call.result, call.argument(0), call.argument(1));
+        },
+        "Object.freeze": function (call) {
+            call.unify(call.result, call.argument(0));
+        },
+        "Object.seal": function (call) {
+            call.unify(call.result, call.argument(0));
+        },
+        ".call": function (call) {
+            var fun = call.receiver;
+            call.unify(call.thisType(fun), call.argument(0));
+            for (var i=1; i<call.args.length; i++) {
+                call.unify(call.param(fun, i-1), call.args[i]);
+            }
+            call.unify(call.result, call.returnType(fun));
+        },
+        ".apply": function (call) {
+            var fun = call.receiver;
+            call.unify(call.thisType(fun), call.argument(0));
+            for (var i=0; i<call.maxArguments; i++) {
+                call.unify(call.param(fun, i), call.argument(1).getPrty("@array"));
+            }
+            call.unify(call.result, call.returnType(fun));
+        },
+        ".bind": function (call) {
+            var fun = call.receiver;
+            var bound = call.args.length - 1; // number of arguments bound in advance
+            call.unify(call.thisType(fun), call.argument(0));
+            if (bound <= 0) {
+                call.unify(call.result, fun); // the bound function takes the same arguments
+                return;
+            }
+            for (var i=0; i<bound; i++) {
+                call.unify(call.param(fun, i), call.args[i+1]);
+            }
+            for (var i=0; i+bound<call.maxArguments; i++) {
+                call.unify(call.param(call.result, i), call.param(fun, i+bound));
+            }
+            call.unify(call.returnType(call.result), call.returnType(fun));
+            call.result.rep().callable = true;
+        }
+    }
+};
+
+// Elements and events of the DOM each share a single type, so properties accessed on them are grouped.
+function elementReturned(call) {
+    call.unify(call.result, instanceType(call, "HTMLElement"));
+}
+function elementsReturned(call) {
+    call.unify(call.result.getPrty("@array"), instanceType(call, "HTMLElement"));
+}
+function elementInserted(call) {
+    call.unify(call.result, call.argument(0), instanceType(call, "HTMLElement"));
+}
+var DOMModel = {
+    browser: true,
+    setup: function (global, unify) {
+        var element = global.getPrty("HTMLElement").getPrty("prototype");
+        var document = global.getPrty("document");
+        var event = global.getPrty("Event").getPrty("prototype");
+        unify(global, global.getPrty("window"), global.getPrty("self"));
+        unify(element, document.getPrty("body"), document.getPrty("documentElement"), document.getPrty("head"));
+        ["parentNode", "parentElement", "firstChild", "lastChild", "nextSibling", "previousSibling",
+         "firstElementChild", "lastElementChild", "nextElementSibling", "previousElementSibling"].forEach(function (name) {
+            unify(element, element.getPrty(name));
+        });
+        unify(element, element.getPrty("children").getPrty("@array"), element.getPrty("childNodes").getPrty("@array"));
+        unify(element, event.getPrty("target"), event.getPrty("currentTarget"));
+    },
+    calls: {
+        "document.getElementById": elementReturned,
+        "document.createElement": elementReturned,
+        ".querySelector": elementReturned,
+        ".querySelectorAll": elementsReturned,
+        ".getElementsByTagName": elementsReturned,
+        ".getElementsByClassName": elementsReturned,
+        "document.getElementsByName": elementsReturned,
+        ".appendChild": elementInserted,
+        ".removeChild": elementInserted,
+        ".insertBefore": elementInserted,
+        ".addEventListener": function (call) {
+            call.unify(call.param(call.argument(1), 0), instanceType(call, "Event"));
+            call.unify(call.thisType(call.argument(1)), call.receiver);
+        }
+    }
+};
+
+/** True if one of the programs with the given global object is a browser page */
+function isBrowserGlobal(asts, global_id) {
+    return asts.programs.some(function (program) {
+        return program.$global_id === global_id && program.$browser;
+    });
+}
+
+/** Path of a global variable or a property of one, such as `Object.create`, or null */
+function getGlobalPath(node) {
+    if (node.type === 'Identifier')
+        return isGlobalVarScope(getVarDeclScope(node), node.name) ? node.name : null;
+    if (node.type === 'MemberExpression' && !node.computed) {
+        var path = getGlobalPath(node.object);
+        return path === null ? null : path + '.' + node.property.name;
+    }
+    return null;
+}
+
+/** The function of the first of the given models that models the given call, or null */
+function findLibraryModel(models, node) {
+    var path = getGlobalPath(node.callee);
+    var method = node.callee.type === 'MemberExpression' && !node.callee.computed ? '.' + node.callee.property.name : null;
+    for (var i=0; i<models.length; i++) {
+        var calls = models[i].calls;
+        if (!calls)
+            continue;
+        if (path !== null && calls.hasOwnProperty(path))
+            return calls[path];
+        if (method !== null && calls.hasOwnProperty(method))
+            return calls[method];
     }
+    return null;
+}
+
+// Property-Name Arguments
+// -----------------------
+// Some functions take the name of a property as a string argument, such as `Object.defineProperty(obj, "foo", ...)`
+// and `obj.hasOwnProperty("foo")`. `PropertyNameArguments` maps functions, named as in library models, to the
+// position of the property name in the arguments and the object whose property it names: the index of an argument,
+// or "this" for the receiver of a method call. If `elements` is true, it names a property of the elements of that
+// object. Calls through `call` and `apply` are resolved to the function they call, whose receiver is then their
+// first argument. Each buffer has its own copy of the catalogue, which can be extended with `addPropertyNameArgument`;
+// programs refer to it in their `$property_name_arguments` field. Such string literals are classified as properties whose base is the string literal itself; type inference gives
+// the literal the type of the object whose property it names. The same is done for the left operand of `in`.
+var PropertyNameArguments = {
+    "Object.defineProperty": {property: 1, object: 0},
+    "Object.getOwnPropertyDescriptor": {property: 1, object: 0},
+    "Reflect.defineProperty": {property: 1, object: 0},
+    "Reflect.deleteProperty": {property: 1, object: 0},
+    "Reflect.get": {property: 1, object: 0},
+    "Reflect.set": {property: 1, object: 0},
+    "Reflect.has": {property: 1, object: 0},
+    "Reflect.getOwnPropertyDescriptor": {property: 1, object: 0},
+    ".hasOwnProperty": {property: 0, object: "this"},
+    ".propertyIsEnumerable": {property: 0, object: "this"},
+    ".__defineGetter__": {property: 0, object: "this"},
+    ".__defineSetter__": {property: 0, object: "this"},
+    ".__lookupGetter__": {property: 0, object: "this"},
+    ".__lookupSetter__": {property: 0, object: "this"},
+    "_.has": {property: 1, object: 0},
+    "_.result": {property: 1, object: 0},
+    "_.pluck": {property: 1, object: 0, elements: true},
+    "_.invoke": {property: 1, object: 0, elements: true},
+    "_.sortBy": {property: 1, object: 0, elements: true},
+    "_.groupBy": {property: 1, object: 0, elements: true},
+    "_.indexBy": {property: 1, object: 0, elements: true},
+    "_.countBy": {property: 1, object: 0, elements: true}
 };
 
+/** A copy of the default catalogue, for a new buffer */
+function copyPropertyNameArguments() {
+    var catalogue = {};
+    for (var path in PropertyNameArguments) {
+        if (PropertyNameArguments.hasOwnProperty(path)) {
+            catalogue[path] = PropertyNameArguments[path];
+        }
+    }
+    return catalogue;
+}
+
+/** The entry of the catalogue for the given callee, or null */
+function lookupPropertyNameArgument(catalogue, callee) {
+    var path = getGlobalPath(callee);
+    if (path !== null && catalogue.hasOwnProperty(path))
+        return catalogue[path];
+    if (callee.type === 'MemberExpression' && !callee.computed && catalogue.hasOwnProperty('.' + callee.property.name))
+        return catalogue['.' + callee.property.name];
+    return null;
+}
+
+/** The arguments of the given call naming a property and denoting its object, as `{property, object, elements}`
+    where `property` and `object` are nodes or null, or null if the callee takes no property name */
+function findPropertyNameArgument(node) {
+    var callee = node.callee;
+    var args = node.arguments;
+    var receiver = callee.type === 'MemberExpression' ? callee.object : null;
+    var method = callee.type === 'MemberExpression' && !callee.computed ? callee.property.name : null;
+    if (node.type === 'CallExpression' && (method === 'call' || method === 'apply')) {
+        callee = callee.object;
+        receiver = args.length > 0 ? args[0] : null;
+        if (method === 'call') {
+            args = args.slice(1);
+        } else {
+            args = args.length > 1 && args[1].type === 'ArrayExpression' ? args[1].elements : [];
+        }
+    }
+    var entry = lookupPropertyNameArgument(getProgram(node).$property_name_arguments, callee);
+    if (entry === null)
+        return null;
+    return {
+        property: args[entry.property] || null,
+        object: entry.object === "this" ? receiver : args[entry.object] || null,
+        elements: !!entry.elements
+    };
+}
+
+/** True if the given node is a string literal naming a property, as an argument or the left operand of `in` */
+function isPropertyNameLiteral(node) {
+    if (node.type !== 'Literal' || typeof node.value !== 'string')
+        return false;
+    var parent = node.$parent;
+    switch (parent.type) {
+        case 'BinaryExpression':
+            return parent.operator === 'in' && parent.left === node;
+        case 'ArrayExpression': // arguments of `apply`
+            parent = parent.$parent;
+            if (parent.type !== 'CallExpression')
+                return false;
+            // fall through
+        case 'CallExpression':
+        case 'NewExpression':
+            var entry = findPropertyNameArgument(parent);
+            return entry !== null && entry.property === node;
+        default:
+            return false;
+    }
+}
+
 // Type Inference
 // --------------
 // The type inference procedure initially assumes all expressions have distinct
 // types, and then unifies types based on a single traversal of the AST.
 // There are a couple of utility functions we must establish before we do the traversal, though.
+//
+// The inferred types are stored in the ASTs, and remain valid until the `$inferred` flag on the `ProgramCollection`
+// is cleared, which happens whenever the contents of the buffer change. Stale types are removed before inferring new ones.
 function inferTypes(asts) {
+    if (asts.$inferred)
+        return;
+    if (asts.globals) {
+        clearTypes(asts); // remove types from the previous inference
+    }
     var unifier = new TypeUnifier;
 
-    var global = new TypeNode; // type of the global object
+    // Programs with the same `$global_id` share a global object. `global` is the type of the global object
+    // of the program being visited.
+    var globals = new Map;
+    function getGlobal(global_id) {
+        var t = globals.get(global_id);
+        if (!t) {
+            t = new TypeNode;
+            globals.put(global_id, t);
+        }
+        return t;
+    }
+    var global = null;
+    var models = []; // library models applying to the current global object
 
     // We maintain a stack of type maps to hold the types of local variables in the current scopes.
     // `env` always holds the top-most environment.
@@ -284,6 +855,76 @@ function inferTypes(asts) {
         return global.getPrty(name);
     }
     
+    // Modules are typed by their namespace object, which is the type of their `Program` node.
+    // For CommonJS modules, this is the type of `module.exports`.
+    // Modules that could not be resolved to a file in the buffer are identified by their source string.
+    var externalModules = new Map;
+    function moduleType(decl) {
+        if (decl.$module) {
+            return getType(decl.$module);
+        }
+        var source = getModuleSource(decl).value;
+        var t = externalModules.get(source);
+        if (!t) {
+            t = new TypeNode;
+            externalModules.put(source, t);
+        }
+        return t;
+    }
+    var exportAllDecls = []; // handled after the traversal, when the exports of their source module are known
+
+    // Calls are linked to the called function after the traversal, once the type of the callee is known.
+    // Only callees whose type is a function in the analysed code are linked, so arguments passed to unknown
+    // functions, such as `console.log`, are not unified with each other.
+    // The elements of a rest parameter are unified with all parameters from its index up to the largest number of
+    // arguments given in any call, and so are the elements of a spread argument and of an `arguments` object indexed
+    // by a variable. An element `arguments[n]` is unified with the nth parameter. A tagged template calls its tag
+    // with the array of strings followed by the embedded expressions.
+    var callSites = []; // interleaved (call,nonPrimitiveArgs) pairs
+    var collectionCalls = []; // calls to methods named like those of arrays, sets and maps
+    var libraryCalls = []; // interleaved (call,model) pairs
+    var restParams = []; // interleaved (function,index) pairs
+    var argumentsIndexed = []; // functions whose arguments object is indexed by a non-constant
+    var maxArguments = 0;
+    function addCallSite(node, nonPrimitiveArgs) {
+        callSites.push(node);
+        callSites.push(nonPrimitiveArgs);
+        maxArguments = Math.max(maxArguments, nonPrimitiveArgs.length);
+    }
+    function linkCallSites() {
+        var changed = true;
+        while (changed) {
+            changed = false;
+            for (var i=0; i<callSites.length; i += 2) {
+                var node = callSites[i];
+                if (node === null)
+                    continue;
+                var callee = getType(getCallee(node)).rep();
+                if (!callee.callable)
+                    continue;
+                var args = callSites[i+1];
+                for (var j=0; j<args.length; j++) {
+                    if (args[j] === null)
+                        continue;
+                    var last = args[j].type === "SpreadElement" ? maxArguments - 1 : j;
+                    for (var k=j; k<=last; k++) {
+                        unifier.unify(callee.getPrty("@param" + k), getType(args[j]), node);
+                    }
+                }
+                if (node.type !== "NewExpression") {
+                    unifier.unify(getType(node), callee.getPrty("@return"), node);
+                }
+                unifier.complete();
+                callSites[i] = null;
+                changed = true;
+            }
+        }
+    }
+
+    function getCallee(node) {
+        return node.type === "TaggedTemplateExpression" ? node.tag : node.callee;
+    }
+
     /** Add variable to current environment. Used when entering a new scope. */
     function addVarToEnv(name) {
         if (typeof name !== "string")
@@ -303,13 +944,15 @@ function inferTypes(asts) {
         }
         return node.$type_node;
     }
-    /** Environment of the given scope node (function or catch clause) */
+    /** Environment of the given scope node (function, catch clause or block) */
     function getEnv(scope) {
         return scope.$env_type || (scope.$env_type = new Map);
     }
 
     // We model the type of "this" using a fake local variable called `@this`.
     // The return type of a function is modeled with a variable called `@return`.
+    // The type of a function has properties `@param0..n` and `@return` holding the types of its parameters
+    // and return value, so calls can be linked to the functions they may call.
     function thisType(fun) {
         return getEnv(fun).get("@this");
     }
@@ -317,8 +960,11 @@ function inferTypes(asts) {
         return getEnv(fun).get("@return");
     }
     function argumentType(fun, index) {
-        if (index < fun.params.length) {
-            return getEnv(fun).get(fun.params[index].name);
+        var params = fun.params;
+        if (params.length > 0 && params[params.length-1].type === 'RestElement' && index >= params.length-1) {
+            return getType(params[params.length-1]).getPrty("@array");
+        } else if (index < params.length) {
+            return getType(params[index]);
         } else {
             return new TypeNode;
         }
@@ -326,20 +972,29 @@ function inferTypes(asts) {
 
     // The `unify` function takes a number of AST nodes and/or type nodes and unifies their types.
     // It will be used a lot during the AST traversal.
+    // The node being visited, `cause`, is recorded as the reason for the unification; `unifyBecause` gives another reason.
+    var cause = null;
     function unify(x) {
         x = getType(x);
         for (var i=1; i<arguments.length; i++) {
-            unifier.unify(x, getType(arguments[i]));
+            unifier.unify(x, getType(arguments[i]), cause);
+        }
+    }
+    function unifyBecause(reason, x) {
+        x = getType(x);
+        for (var i=2; i<arguments.length; i++) {
+            unifier.unify(x, getType(arguments[i]), reason);
         }
     }
 
     // To properly infer the receiver type of methods, we need a way to distinguish methods
     // from constructors in namespaces. The following functions are called during the first traversal
     // to indicate potential methods, and what objects appear to be used as namespaces.
-    var potentialMethods = []; // interleaved (base,receiver) pairs
+    var potentialMethods = []; // interleaved (base,receiver,node) triples
     function addPotentialMethod(base, receiver) {
         potentialMethods.push(getType(base));
         potentialMethods.push(getType(receiver));
+        potentialMethods.push(cause);
     }
 
     function markAsNamespace(node) {
@@ -351,6 +1006,184 @@ function inferTypes(asts) {
         }
     }
 
+    // Scripts treated as CommonJS modules (see `isCommonJSModule`) get their own `module` and `exports` variables.
+    function enterCommonJSScope(program) {
+        env = new Map;
+        envStack.push(env);
+        addVarToEnv("module");
+        addVarToEnv("exports");
+        unifyBecause({kind: "module", node: program}, program, env.get("exports"), env.get("module").getPrty("exports"));
+        return true;
+    }
+
+    // The parameters of an AMD factory are unified with the modules they depend on, and the module defined
+    // by `define` is the return value of its factory, or the `exports` dependency.
+    function visitAMDCall(node, amd) {
+        var factory = amd.factory;
+        var module = getType(getProgram(node));
+        if (factory === null)
+            return;
+        if (factory.type === "ObjectExpression") {
+            if (amd.define) {
+                unify(module, factory);
+            }
+            return;
+        }
+        if (factory.type !== "FunctionExpression" && factory.type !== "ArrowFunctionExpression")
+            return;
+        for (var i=0; i<factory.params.length; i++) {
+            var dep = amd.dependencies && amd.dependencies.elements[i];
+            switch (getAMDDependencyName(factory, i)) {
+                case null:
+                case "require":
+                    break;
+                case "exports":
+                    unify(argumentType(factory, i), module);
+                    break;
+                case "module":
+                    unify(argumentType(factory, i).getPrty("exports"), module);
+                    break;
+                default:
+                    unify(argumentType(factory, i), moduleType(dep));
+                    break;
+            }
+        }
+        if (amd.define) {
+            unify(module, returnType(factory));
+        }
+    }
+
+    // Block scopes get their own environment holding the variables declared with `let`, `const` or `class`.
+    // Function bodies are not block scopes; their lexical declarations are part of the function's environment.
+    function enterBlockScope(node) {
+        if (!node.$env)
+            return false;
+        node.$env_type = env = new Map;
+        envStack.push(env);
+        node.$env.forEach(function (key,val) {
+            addVarToEnv(key);
+        });
+        return true;
+    }
+    function leaveBlockScope(entered) {
+        if (entered) {
+            envStack.pop();
+            env = envStack[envStack.length-1];
+        }
+    }
+
+    // Arrays and sets hold their elements, and maps their values, in the `@array` pseudo-property.
+    // Calls to methods with the name of a built-in method of these collections are modelled after the traversal,
+    // unless the callee turned out to be a function in the analysed code, and only once their receiver has an
+    // `@array` property, as given to array literals, collections created by built-in constructors, and the results
+    // of other collection calls. Callbacks are linked through the `@param0..n` and `@return` properties of their
+    // type, so named functions can be used as callbacks.
+    function visitCollectionCall(node) {
+        var name = node.callee.property.name;
+        var collection = getType(node.callee.object);
+        var elm = collection.getPrty("@array");
+        var args = node.arguments;
+        var reason = node;
+        function callback(index) {
+            return index < args.length ? getType(args[index]) : new TypeNode;
+        }
+        switch (CollectionMethods[name]) {
+            case "insert": // push(x, ...), unshift(x, ...), add(x)
+                for (var i=0; i<args.length; i++) {
+                    unifyBecause(reason, elm, args[i]);
+                }
+                break;
+            case "insertAt": // set(key, value), splice(start, count, x, ...)
+                for (var i=(name === "set" ? 1 : 2); i<args.length; i++) {
+                    unifyBecause(reason, elm, args[i]);
+                }
+                if (name === "splice") {
+                    unifyBecause(reason, node, collection);
+                }
+                break;
+            case "element": // pop(), shift(), get(key)
+                unifyBecause(reason, node, elm);
+                break;
+            case "iterate": // forEach(f), some(f), every(f), findIndex(f)
+                unifyBecause(reason, callback(0).getPrty("@param0"), elm);
+                break;
+            case "find":
+                unifyBecause(reason, callback(0).getPrty("@param0"), elm, node);
+                break;
+            case "filter":
+                unifyBecause(reason, callback(0).getPrty("@param0"), elm);
+                unifyBecause(reason, node, collection);
+                break;
+            case "sort":
+                unifyBecause(reason, callback(0).getPrty("@param0"), callback(0).getPrty("@param1"), elm);
+                unifyBecause(reason, node, collection);
+                break;
+            case "copy": // slice(), concat(), reverse(), values()
+                if (name === "concat") {
+                    for (var i=0; i<args.length; i++) {
+                        unifyBecause(reason, elm, getType(args[i]).getPrty("@array"));
+                    }
+                }
+                unifyBecause(reason, node, collection);
+                break;
+            case "map":
+                unifyBecause(reason, callback(0).getPrty("@param0"), elm);
+                unifyBecause(reason, getType(node).getPrty("@array"), callback(0).getPrty("@return"));
+                break;
+            case "reduce":
+                var acc = args.length > 1 ? getType(args[1]) : elm; // without an initial value, the first element
+                unifyBecause(reason, callback(0).getPrty("@param1"), elm);
+                unifyBecause(reason, callback(0).getPrty("@param0"), callback(0).getPrty("@return"), acc, node);
+                break;
+        }
+    }
+
+    // A string literal naming a property gets the type of the object whose property it names.
+    function visitPropertyNameArgument(node, entry) {
+        if (entry.object === null)
+            return;
+        var obj = getType(entry.object);
+        if (entry.elements) {
+            obj = obj.getPrty("@array");
+        }
+        unifyBecause({kind: "name", node: node}, entry.property, obj);
+    }
+
+    // Library models are given access to the types through a `call` object (see Library Models).
+    function visitLibraryCall(node, model) {
+        var reason = {kind: "library", node: node};
+        var args = node.arguments.map(getType);
+        model({
+            node: node,
+            receiver: node.callee.type === "MemberExpression" ? getType(node.callee.object) : null,
+            args: args,
+            result: getType(node),
+            maxArguments: maxArguments,
+            argument: function (index) {
+                return index < args.length ? args[index] : new TypeNode;
+            },
+            argumentValue: function (index) {
+                var arg = node.arguments[index];
+                return arg && arg.type === "Literal" && typeof arg.value === "string" ? arg.value : null;
+            },
+            unify: function () {
+                unifyBecause.apply(null, [reason].concat(Array.prototype.slice.call(arguments)));
+            },
+            global: function (name) {
+                return getGlobal(getProgram(node).$global_id).getPrty(name);
+            },
+            param: function (fun, index) {
+                return getType(fun).getPrty("@param" + index);
+            },
+            returnType: function (fun) {
+                return getType(fun).getPrty("@return");
+            },
+            thisType: function (fun) {
+                return getType(fun).getPrty("@this");
+            }
+        });
+    }
+
     // We use these constants to avoid confusing boolean constants
     var Primitive = true; // returned to indicate expression was a primitive
     var NotPrimitive = false;
@@ -361,30 +1194,46 @@ function inferTypes(asts) {
     var Expr = true; // argument to visitFunction to indicate it is an expression
     var NotExpr = false;
 
-    // The AST traversal consists of three mutually recursive functions:
+    // The AST traversal consists of four mutually recursive functions:
     //
     // - `visitStmt(node)`
     // - `visitExp(node, void_ctx)`.
     // - `visitFunction(fun, expr)`.
+    // - `visitClass(node)`.
     function visitFunction(fun, expr) {
         fun.$env_type = env = new Map; // create new environment
         envStack.push(env);
-        for (var i=0; i<fun.params.length; i++) {
-            addVarToEnv(fun.params[i].name); // add params to env
-            fun.params[i].$type_node = env.get(fun.params[i].name);
-        }
-        fun.$env.forEach(function (key,val) {
+        fun.$env.forEach(function (key,val) { // includes variables bound by the parameters
             addVarToEnv(key);
         });
+        for (var i=0; i<fun.params.length; i++) {
+            var param = fun.params[i];
+            visitPattern(param, getType(param));
+            var def = fun.defaults && fun.defaults[i];
+            if (def && !visitExp(def, NotVoid)) {
+                unify(param, def); // default parameter value
+            }
+        }
         if (expr && fun.id !== null) {
             addVarToEnv(fun.id.name); // add self-reference to environment
-            unify(fun, env.get(fun.id.name));
+            unifyBecause(fun.id, fun, env.get(fun.id.name));
             fun.id.$type_node = fun.$type_node;
         }
         addVarToEnv("@this");
         addVarToEnv("@return");
         addVarToEnv("arguments");
-        unify(thisType(fun), getType(fun).getPrty("prototype"))
+        var typ = getType(fun);
+        typ.rep().callable = true;
+        for (var i=0; i<fun.params.length; i++) {
+            if (fun.params[i].type === "RestElement") {
+                restParams.push(fun, i);
+            } else {
+                unifyBecause(fun, typ.getPrty("@param" + i), argumentType(fun, i));
+            }
+        }
+        unifyBecause(fun, typ.getPrty("@return"), returnType(fun));
+        unifyBecause(fun, typ.getPrty("@this"), thisType(fun));
+        unifyBecause({kind: "constructor", node: fun}, thisType(fun), getType(fun).getPrty("prototype"));
         // Visit function body
         if (fun.type === 'ArrowFunctionExpression' && fun.body.type !== 'BlockStatement') {
             visitExp(fun.body, NotVoid);
@@ -396,62 +1245,220 @@ function inferTypes(asts) {
         env = envStack[envStack.length-1];
     }
 
-    function visitExp(node, void_ctx) {
-        if (typeof void_ctx !== "boolean")
-            throw "No void_ctx given";
-        if (node === null)
-            return null;
-        if (typeof node !== "object" || !node.type)
-            throw new Error("visitExp not called with node: " + node);
+    // Destructuring patterns bind variables to parts of the value being destructured, whose type is `typ`.
+    // Object patterns are unified with `typ` so their keys can be renamed along with the properties of `typ`.
+    function visitPattern(node, typ) {
         switch (node.type) {
-            case "FunctionExpression":
-                visitFunction(node, Expr);
-                return NotPrimitive;
-            case "ArrowFunctionExpression":
-                visitFunction(node, Expr);
-                unify(thisType(node), getVar("@this"));
-                return NotPrimitive;
-            case "ThisExpression":
-                unify(node, getVar("@this"));
-                return NotPrimitive;
-            case "ArrayExpression":
-                var typ = getType(node);
-                for (var i=0; i<node.elements.length; i++) {
+            case "Identifier":
+                unifyBecause(node, node, getVar(node.name));
+                unify(node, typ);
+                break;
+            case "MemberExpression":
+                visitExp(node, NotVoid);
+                unify(node, typ);
+                break;
+            case "ObjectPattern":
+                unify(node, typ);
+                for (var i=0; i<node.properties.length; i++) {
+                    var prty = node.properties[i];
+                    if (prty.computed) {
+                        visitExp(prty.key, Void);
+                    }
+                    var name = getPropertyName(prty);
+                    visitPattern(prty.value, name !== null ? getType(node).getPrty(name) : new TypeNode);
+                }
+                break;
+            case "ArrayPattern":
+                unify(node, typ);
+                for (var i=0; i<node.elements.length; i++) {
+                    var elm = node.elements[i];
+                    if (elm === null)
+                        continue;
+                    if (elm.type === "RestElement") {
+                        visitPattern(elm.argument, node); // the rest holds the same kind of elements
+                    } else {
+                        visitPattern(elm, getType(node).getPrty("@array"));
+                    }
+                }
+                break;
+            case "AssignmentPattern":
+                unify(node, typ);
+                if (!visitExp(node.right, NotVoid)) {
+                    unify(node, node.right); // default value
+                }
+                visitPattern(node.left, node);
+                break;
+            case "RestElement":
+                unify(node, typ);
+                visitPattern(node.argument, node);
+                break;
+            default:
+                visitUnknown(node);
+                unify(node, typ);
+        }
+    }
+
+    // The type of a class is the type of its constructor, so instances are found through its `prototype` property.
+    // Methods are known to be methods, so their receiver is unified directly instead of going through
+    // `addPotentialMethod`. The target of `super` is modeled with a fake variable called `@super`.
+    // A class that extends another class is not unified with its parent class, as that would merge the methods of
+    // all its subclasses. Instead, the class and its prototype are linked to those of the parent class, and properties
+    // are looked up along these links when renaming them (see `findSuperLinks`), ensuring that overridden and
+    // inherited methods are renamed together.
+    var superLinks = []; // {child, parent, node} objects
+    function visitClass(node) {
+        var scope = enterBlockScope(node); // binds the name of a class expression
+        var typ = getType(node);
+        var proto = typ.getPrty("prototype");
+        if (node.id !== null) {
+            unify(node, getVar(node.id.name));
+            node.id.$type_node = getVar(node.id.name);
+        }
+        var superType = new TypeNode;
+        if (node.superClass !== null) {
+            visitExp(node.superClass, NotVoid);
+            superType = getType(node.superClass);
+            superLinks.push({child: typ, parent: superType, node: node.superClass});
+            superLinks.push({child: proto, parent: superType.getPrty("prototype"), node: node.superClass});
+        }
+        var methods = node.body.body;
+        for (var i=0; i<methods.length; i++) {
+            var method = methods[i];
+            var target = method.static ? typ : proto;
+            if (method.computed) {
+                visitExp(method.key, Void);
+            }
+            var name = getPropertyName(method);
+            method.$type_node = target; // base type for renaming the method name
+            env = new Map; // environment holding the target of super
+            envStack.push(env);
+            env.put("@super", method.static ? superType : superType.getPrty("prototype"));
+            visitFunction(method.value, Expr);
+            envStack.pop();
+            env = envStack[envStack.length-1];
+            switch (method.kind) {
+                case "constructor":
+                    unify(typ, method.value);
+                    break;
+                case "method":
+                    if (name !== null) {
+                        unify(target.getPrty(name), method.value);
+                    }
+                    unify(target, thisType(method.value));
+                    break;
+                case "get":
+                    if (name !== null) {
+                        unify(target.getPrty(name), returnType(method.value));
+                    }
+                    unify(target, thisType(method.value));
+                    break;
+                case "set":
+                    if (name !== null) {
+                        unify(target.getPrty(name), argumentType(method.value, 0));
+                    }
+                    unify(target, thisType(method.value));
+                    break;
+            }
+        }
+        leaveBlockScope(scope);
+    }
+
+    // Nodes not handled by the visitors, such as `MetaProperty` nodes produced by newer parsers, are given no meaning,
+    // but their children are visited so the expressions and functions nested inside them are still typed.
+    function visitUnknown(node) {
+        var nodes = children(node);
+        for (var i=0; i<nodes.length; i++) {
+            if (/(Statement|Declaration)$/.test(nodes[i].type)) {
+                visitStmt(nodes[i]);
+            } else {
+                visitExp(nodes[i], Void);
+            }
+        }
+    }
+
+    // The node being visited is the cause of the unifications made while visiting it, except those made by its children.
+    function visitExp(node, void_ctx) {
+        var outer = cause;
+        cause = node || cause;
+        var result = visitExpression(node, void_ctx);
+        cause = outer;
+        return result;
+    }
+    function visitStmt(node) {
+        var outer = cause;
+        cause = node || cause;
+        visitStatement(node);
+        cause = outer;
+    }
+
+    function visitExpression(node, void_ctx) {
+        if (typeof void_ctx !== "boolean")
+            throw "No void_ctx given";
+        if (node === null)
+            return null;
+        if (typeof node !== "object" || !node.type)
+            throw new Error("visitExp not called with node: " + node);
+        switch (node.type) {
+            case "FunctionExpression":
+                visitFunction(node, Expr);
+                return NotPrimitive;
+            case "ArrowFunctionExpression":
+                visitFunction(node, Expr);
+                unify(thisType(node), getVar("@this"));
+                return NotPrimitive;
+            case "ThisExpression":
+                unify(node, getVar("@this"));
+                return NotPrimitive;
+            case "Super":
+                unify(node, getVar("@super"));
+                return NotPrimitive;
+            case "ClassExpression":
+                visitClass(node);
+                return NotPrimitive;
+            case "ArrayExpression":
+                var typ = getType(node);
+                typ.getPrty("@array"); // marks the type as a collection, also if the array is empty
+                for (var i=0; i<node.elements.length; i++) {
                     var elm = node.elements[i];
                     if (elm) {
                         visitExp(elm, NotVoid);
-                        unify(typ.getPrty("@array"), elm);
+                        unify(typ.getPrty("@array"), elm); // a spread element has the type of the elements it copies
                     }
                 }
                 return NotPrimitive;
+            case "SpreadElement":
+                visitExp(node.argument, NotVoid);
+                unify(node, getType(node.argument).getPrty("@array"));
+                return NotPrimitive;
             case "ObjectExpression":
+                // Properties with a computed name are not part of the type, but their key and value are still visited.
+                // Methods written with the method syntax are known to be methods, unlike other function-valued properties.
                 var typ = getType(node);
                 for (var i=0; i<node.properties.length; i++) {
                     var prty = node.properties[i];
-                    var name;
-                    if (prty.key.type === "Identifier") {
-                        name = prty.key.name;
-                    } else if (typeof prty.key.value === "string") {
-                        name = prty.key.value;
-                    } else {
-                        continue;
+                    if (prty.computed) {
+                        visitExp(prty.key, Void);
                     }
+                    var name = getPropertyName(prty);
+                    var prtyType = name !== null ? typ.getPrty(name) : new TypeNode;
                     switch (prty.kind) {
                         case "init":
                             visitExp(prty.value, NotVoid);
-                            unify(typ.getPrty(name), prty.value);
-                            if (prty.value.type === 'FunctionExpression') {
+                            unify(prtyType, prty.value);
+                            if (prty.method) {
+                                unify(typ, thisType(prty.value));
+                            } else if (prty.value.type === 'FunctionExpression') {
                                 addPotentialMethod(typ, thisType(prty.value));
                             }
                             break;
                         case "get":
                             visitFunction(prty.value);
-                            unify(typ.getPrty(name), returnType(prty.value));
+                            unify(prtyType, returnType(prty.value));
                             unify(typ, thisType(prty.value));
                             break;
                         case "set":
                             visitFunction(prty.value);
-                            unify(typ.getPrty(name), argumentType(prty.value, 0));
+                            unify(prtyType, argumentType(prty.value, 0));
                             unify(typ, thisType(prty.value));
                             break;
                     }
@@ -469,9 +1476,20 @@ function inferTypes(asts) {
                 return Primitive;
             case "BinaryExpression":
                 visitExp(node.left, Void);
-                visitExp(node.right, Void);
+                if (isPropertyNameLiteral(node.left)) {
+                    visitExp(node.right, NotVoid);
+                    unifyBecause({kind: "name", node: node}, node.left, node.right);
+                } else {
+                    visitExp(node.right, Void);
+                }
                 return Primitive;
             case "AssignmentExpression":
+                if (node.left.type === "ObjectPattern" || node.left.type === "ArrayPattern") {
+                    var p = visitExp(node.right, NotVoid);
+                    visitPattern(node.left, node.right);
+                    unify(node, node.right);
+                    return p;
+                }
                 visitExp(node.left, NotVoid);
                 var p = visitExp(node.right, NotVoid);
                 if (node.operator === "=") {
@@ -512,10 +1530,30 @@ function inferTypes(asts) {
                 return p1 && p2;
             case "NewExpression":
             case "CallExpression":
+                if (isRequireCall(node)) {
+                    visitExp(node.callee, NotVoid);
+                    unify(node, moduleType(node));
+                    return NotPrimitive;
+                }
+                var amd = getAMDCall(node);
                 var args = node.arguments || [];
+                var nonPrimitiveArgs = [];
                 visitExp(node.callee, NotVoid);
                 for (var i=0; i<args.length; i++) {
-                    visitExp(args[i], NotVoid);
+                    nonPrimitiveArgs.push(visitExp(args[i], NotVoid) ? null : args[i]);
+                }
+                addCallSite(node, nonPrimitiveArgs);
+                if (node.callee.type === "MemberExpression" && !node.callee.computed &&
+                        CollectionMethods.hasOwnProperty(node.callee.property.name)) {
+                    collectionCalls.push(node);
+                }
+                var model = findLibraryModel(models, node);
+                if (model !== null) {
+                    libraryCalls.push(node, model);
+                }
+                var entry = findPropertyNameArgument(node);
+                if (entry !== null && entry.property !== null && isPropertyNameLiteral(entry.property)) {
+                    visitPropertyNameArgument(node, entry);
                 }
                 if (node.callee.type === "FunctionExpression" || node.callee.type === "ArrowFunctionExpression") {
                     var numArgs = Math.min(args.length, node.callee.params.length);
@@ -533,16 +1571,29 @@ function inferTypes(asts) {
                 }
                 if (node.type === "NewExpression") {
                     markAsConstructor(node.callee);
+                    unify(node, getType(node.callee).getPrty("prototype")); // instances have the type of the prototype
+                }
+                if (CollectionConstructors.indexOf(getGlobalPath(node.callee)) !== -1) {
+                    getType(node).getPrty("@array"); // marks the type as a collection
+                }
+                if (amd !== null) {
+                    visitAMDCall(node, amd);
                 }
                 return NotPrimitive;
             case "MemberExpression":
                 visitExp(node.object, NotVoid);
                 if (node.computed) {
                     visitExp(node.property, Void);
+                    var argumentsFun = getArgumentsFunction(node.object);
                     if (node.property.type === "Literal" && typeof node.property.value === "string") {
                         unify(node, getType(node.object).getPrty(node.property.value));
+                    } else if (argumentsFun !== null && isArgumentIndex(node.property)) {
+                        unify(node, getType(argumentsFun).getPrty("@param" + node.property.value)); // the nth argument
                     } else {
-//                        unify(getType(node.property).getPrty("@prty-of"), node.object);
+                        if (argumentsFun !== null && argumentsIndexed.indexOf(argumentsFun) === -1) {
+                            argumentsIndexed.push(argumentsFun);
+                        }
+                        unify(node, getType(node.object).getPrty("@array")); // element of an array or collection
                     }
                 } else {
                     unify(node, getType(node.object).getPrty(node.property.name));
@@ -559,12 +1610,40 @@ function inferTypes(asts) {
                 return NotPrimitive;
             case "Literal":
                 return Primitive;
+            case "TemplateLiteral":
+                for (var i=0; i<node.expressions.length; i++) {
+                    visitExp(node.expressions[i], Void);
+                }
+                return Primitive;
+            case "TaggedTemplateExpression":
+                // The tag is called with the array of strings, whose type is that of the template, and the expressions.
+                var nonPrimitiveArgs = [node.quasi];
+                visitExp(node.tag, NotVoid);
+                for (var i=0; i<node.quasi.expressions.length; i++) {
+                    var exp = node.quasi.expressions[i];
+                    nonPrimitiveArgs.push(visitExp(exp, NotVoid) ? null : exp);
+                }
+                addCallSite(node, nonPrimitiveArgs);
+                return NotPrimitive;
+            case "YieldExpression":
+                // The values yielded by a generator are modeled as elements of its return value, which is iterated
+                // over by for-of loops. The value of the yield expression itself is passed in by the caller.
+                if (node.argument !== null) {
+                    var p = visitExp(node.argument, NotVoid);
+                    var elements = getVar("@return").getPrty("@array");
+                    if (node.delegate) {
+                        unify(elements, getType(node.argument).getPrty("@array"));
+                    } else if (!p) {
+                        unify(elements, node.argument);
+                    }
+                }
+                return NotPrimitive;
         }
-        /* The cases must return Primitive or NotPrimitive */
-        throw "Expression " + node.type + " not handled";
+        visitUnknown(node);
+        return NotPrimitive;
     }
 
-    function visitStmt(node) {
+    function visitStatement(node) {
         if (node === null)
             return;
         if (!node || !node.type)
@@ -573,7 +1652,9 @@ function inferTypes(asts) {
             case "EmptyStatement":
                 break;
             case "BlockStatement":
+                var scope = enterBlockScope(node);
                 node.body.forEach(visitStmt);
+                leaveBlockScope(scope);
                 break;
             case "ExpressionStatement":
                 visitExp(node.expression, Void);
@@ -596,11 +1677,13 @@ function inferTypes(asts) {
                 break;
             case "SwitchStatement":
                 var pr = visitExp(node.discriminant, NotVoid);
+                var scope = enterBlockScope(node);
                 for (var i=0; i<node.cases.length; i++) {
                     var caze = node.cases[i];
                     visitExp(caze.test, pr ? Void : NotVoid);
                     caze.consequent.forEach(visitStmt);
                 }
+                leaveBlockScope(scope);
                 break;
             case "ReturnStatement":
                 if (node.argument !== null) {
@@ -620,7 +1703,10 @@ function inferTypes(asts) {
             case "CatchClause":
                 node.$env_type = env = new Map; // create environment with exception var
                 envStack.push(env);
-                addVarToEnv(node.param.name);
+                node.$env.forEach(function (key,val) {
+                    addVarToEnv(key);
+                });
+                visitPattern(node.param, new TypeNode);
                 visitStmt(node.body);
                 envStack.pop(); // restore original environment
                 env = envStack[envStack.length-1];
@@ -634,6 +1720,7 @@ function inferTypes(asts) {
                 visitExp(node.test, Void);
                 break;
             case "ForStatement":
+                var scope = enterBlockScope(node);
                 if (node.init !== null && node.init.type === "VariableDeclaration") {
                     visitStmt(node.init);
                 } else {
@@ -642,26 +1729,53 @@ function inferTypes(asts) {
                 visitExp(node.test, Void);
                 visitExp(node.update, Void);
                 visitStmt(node.body);
+                leaveBlockScope(scope);
                 break;
             case "ForInStatement":
+                var scope = enterBlockScope(node);
                 if (node.left.type === "VariableDeclaration") {
                     visitStmt(node.left);
                 } else {
-                    visitExp(node.left, Void);
+                    visitPattern(node.left, new TypeNode);
                 }
                 visitExp(node.right, NotVoid);
                 visitStmt(node.body);
+                leaveBlockScope(scope);
                 /* note: `each` is always false in Esprima */
                 break;
+            case "ForOfStatement":
+                var scope = enterBlockScope(node);
+                visitExp(node.right, NotVoid);
+                var elm = getType(node.right).getPrty("@array");
+                if (node.left.type === "VariableDeclaration") {
+                    for (var i=0; i<node.left.declarations.length; i++) {
+                        visitPattern(node.left.declarations[i].id, elm);
+                    }
+                } else {
+                    visitPattern(node.left, elm);
+                }
+                visitStmt(node.body);
+                leaveBlockScope(scope);
+                break;
             case "DebuggerStatement":
                 break;
             case "FunctionDeclaration":
                 visitFunction(node);
-                unify(node, getVar(node.id.name)); // put function into its variable
+                unifyBecause(node.id, node, getVar(node.id.name)); // put function into its variable
+                break;
+            case "ClassDeclaration":
+                visitClass(node); // puts the class into its variable
                 break;
             case "VariableDeclaration":
                 for (var i=0; i<node.declarations.length; i++) {
                     var decl = node.declarations[i];
+                    if (decl.id.type !== "Identifier") { // destructuring declaration
+                        if (decl.init !== null) {
+                            visitExp(decl.init, NotVoid);
+                        }
+                        visitPattern(decl.id, decl.init || new TypeNode);
+                        continue;
+                    }
                     if (decl.init !== null) {
                         var pr = visitExp(decl.init, NotVoid);
                         if (!pr) {
@@ -672,22 +1786,61 @@ function inferTypes(asts) {
                 }
                 break;
             case "ImportDeclaration":
+                var module = moduleType(node);
+                for (var i=0; i<node.specifiers.length; i++) {
+                    var spec = node.specifiers[i];
+                    switch (spec.type) {
+                        case "ImportSpecifier":
+                            unify(spec.local, getVar(spec.local.name), module.getPrty(spec.imported.name));
+                            break;
+                        case "ImportDefaultSpecifier":
+                            unify(spec.local, getVar(spec.local.name), module.getPrty("default"));
+                            break;
+                        case "ImportNamespaceSpecifier":
+                            unify(spec.local, getVar(spec.local.name), module);
+                            break;
+                    }
+                }
+                break;
             case "ExportAllDeclaration":
-                break; // Nothing to do for single-file analysis.
+                exportAllDecls.push(node);
+                break;
             case "ExportNamedDeclaration":
+                var exports = getType(getProgram(node));
                 if (node.declaration !== null) {
                     visitStmt(node.declaration);
+                    getDeclaredIdentifiers(node.declaration).forEach(function (id) {
+                        unify(exports.getPrty(id.name), getVar(id.name));
+                    });
+                }
+                for (var i=0; i<node.specifiers.length; i++) {
+                    var spec = node.specifiers[i];
+                    if (node.source !== null) {
+                        unify(exports.getPrty(spec.exported.name), moduleType(node).getPrty(spec.local.name));
+                    } else {
+                        unify(exports.getPrty(spec.exported.name), spec.local, getVar(spec.local.name));
+                    }
                 }
                 break;
             case "ExportDefaultDeclaration":
-                if (node.declaration.type === 'VariableDeclaration' || node.declaration.type === 'FunctionDeclaration') {
-                    visitStmt(node.declaration);
-                } else {
-                    visitExp(node.declaration, NotVoid);
+                var exports = getType(getProgram(node));
+                var decl = node.declaration;
+                if (decl.type === 'FunctionDeclaration' && decl.id === null) {
+                    visitFunction(decl);
+                    unify(exports.getPrty("default"), decl);
+                } else if (decl.type === 'ClassDeclaration' && decl.id === null) {
+                    visitClass(decl);
+                    unify(exports.getPrty("default"), decl);
+                } else if (decl.type === 'VariableDeclaration' || decl.type === 'FunctionDeclaration' ||
+                           decl.type === 'ClassDeclaration') {
+                    visitStmt(decl);
+                    unify(exports.getPrty("default"), decl);
+                } else if (!visitExp(decl, NotVoid)) {
+                    unify(exports.getPrty("default"), decl);
                 }
                 break;
             default:
-                throw "Unknown statement: " + node.type;
+                visitUnknown(node);
         }
     }
 
@@ -695,7 +1848,16 @@ function inferTypes(asts) {
     function visitRoot(node) {
         switch (node.type) {
             case 'Program':
+                global = getGlobal(node.$global_id);
+                models = getModels(node.$global_id);
+                var scope = false;
+                if (isModule(node)) {
+                    scope = enterBlockScope(node);
+                } else if (isCommonJSModule(node)) {
+                    scope = enterCommonJSScope(node);
+                }
                 node.body.forEach(visitStmt);
+                leaveBlockScope(scope);
                 break;
             case 'ProgramCollection':
                 node.programs.forEach(visitRoot);
@@ -703,29 +1865,119 @@ function inferTypes(asts) {
         }
     }
 
+    function getModels(global_id) {
+        var browser = isBrowserGlobal(asts, global_id);
+        return (asts.$models || []).filter(function (model) {
+            return !model.browser || browser;
+        });
+    }
+    function unifyLibrary() {
+        unifyBecause.apply(null, [{kind: "library", node: null}].concat(Array.prototype.slice.call(arguments)));
+    }
+    asts.programs.forEach(function (program) {
+        if (globals.has(program.$global_id))
+            return;
+        var global = getGlobal(program.$global_id);
+        getModels(program.$global_id).forEach(function (model) {
+            if (model.setup) {
+                model.setup(global, unifyLibrary);
+            }
+        });
+    });
+
     visitRoot(asts);
 
+    // The global variables declared by a script loaded into another global object are shared by both.
+    getGlobalLinks(asts).forEach(function (link) {
+        var reason = {kind: "script", node: link.node};
+        link.program.$env.forEach(function (name) {
+            unifyBecause(reason, getGlobal(link.global_id).getPrty(name),
+                         getGlobal(link.program.$global_id).getPrty(name));
+        });
+    });
+
     // After the initial traversal, we satisfy the saturation rules to ensure we have detected namespaces.
     // Then we apply receiver-type inference and complete the unification again.
+    // Members re-exported with `export * from` are unified at this point, except for the default export.
+    unifier.complete();
+    for (var i=0; i<exportAllDecls.length; i++) {
+        var exports = getType(getProgram(exportAllDecls[i]));
+        moduleType(exportAllDecls[i]).rep().prty.forEach(function (name, typ) {
+            if (name !== "default") {
+                unifier.unifyLater(exports.getPrty(name), typ, {kind: "module", node: exportAllDecls[i]});
+            }
+        });
+    }
     unifier.complete();
-    for (var i=0; i<potentialMethods.length; i += 2) {
-        var base = potentialMethods[i].rep();
-        var receiver = potentialMethods[i+1].rep();
-        if (!base.namespace && !receiver.namespace) {
+    for (var i=0; i<restParams.length; i += 2) {
+        var fun = restParams[i];
+        for (var j=restParams[i+1]; j<maxArguments; j++) {
+            unifier.unifyLater(getType(fun).getPrty("@param" + j), argumentType(fun, restParams[i+1]), fun);
+        }
+    }
+    for (var i=0; i<argumentsIndexed.length; i++) {
+        var fun = argumentsIndexed[i];
+        for (var j=0; j<maxArguments; j++) {
+            unifier.unifyLater(getType(fun).getPrty("@param" + j), getEnv(fun).get("arguments").getPrty("@array"), fun);
+        }
+    }
+    unifier.complete();
+    linkCallSites();
+    for (var i=0; i<potentialMethods.length; i += 3) {
+        var base = potentialMethods[i];
+        var receiver = potentialMethods[i+1];
+        if (!base.rep().namespace && !receiver.rep().namespace) {
             /* unify later to ensure deterministic behaviour */
-            unifier.unifyLater(base, receiver); 
+            unifier.unifyLater(base, receiver, {kind: "method", node: potentialMethods[i+2]});
+        }
+    }
+    unifier.complete();
+    linkCallSites(); // method receivers may have made more callees known
+    var pendingCollectionCalls = collectionCalls.filter(function (node) {
+        return !getType(node.callee).rep().callable;
+    });
+    var changed = true;
+    while (changed) { // a collection call may reveal the receiver of another one
+        changed = false;
+        pendingCollectionCalls = pendingCollectionCalls.filter(function (node) {
+            if (!getType(node.callee.object).rep().prty.has("@array"))
+                return true;
+            visitCollectionCall(node);
+            changed = true;
+            return false;
+        });
+        unifier.complete();
+    }
+    for (var i=0; i<libraryCalls.length; i += 2) {
+        if (!getType(libraryCalls[i].callee).rep().callable) {
+            visitLibraryCall(libraryCalls[i], libraryCalls[i+1]);
         }
     }
     unifier.complete();
+    linkCallSites();
 
-    asts.global = global; // expose global object type
+    asts.globals = globals; // expose global object types
+    asts.unifications = unifier.edges; // expose reasons for unifications
+    asts.superLinks = superLinks; // expose links between classes and their parent classes
+    asts.$inferred = true;
 } /* end of inferTypes */
 
+function clearTypes(node) {
+    delete node.$type_node;
+    delete node.$env_type;
+    var list = children(node);
+    for (var i=0; i<list.length; i++) {
+        clearTypes(list[i]);
+    }
+}
+
 // Renaming Identifiers
 // --------------------
-// `classifyId` classifies an identifier token as a property, variable, or label.
+// `classifyId` classifies an identifier token as a property, variable, label, or module member.
 // Property identifiers additionally have a *base* expression, denoting the object on
 // which the property is accessed. Variables may be global or local.
+// Module members are names in import and export specifiers that refer to the members of a module rather than
+// to a variable. Their *declaration* is the import or export declaration containing the specifier.
 function classifyId(node) {
     if (node.type != 'Identifier' && (node.type !== 'Literal' || typeof node.value !== 'string'))
         return null; // only identifiers and string literals can be IDs
@@ -738,9 +1990,20 @@ function classifyId(node) {
                 return {type:"property", base:parent.object, name:node.value};
             }
             break;
-        case 'Property':
+        case 'MethodDefinition':
+            if (parent.key === node && parent.kind === 'constructor')
+                return null; // the name of the constructor cannot be renamed
             if (parent.key === node) {
-                if (node.type === 'Identifier') {
+                if (node.type === 'Identifier' && !parent.computed) {
+                    return {type:"property", base:parent, name:node.name};
+                } else if (node.type === 'Literal') {
+                    return {type:"property", base:parent, name:node.value};
+                }
+            }
+            break;
+        case 'Property':
+            if (parent.key === node && !isShorthand(parent)) {
+                if (node.type === 'Identifier' && !parent.computed) {
                     return {type:"property", base:parent.$parent, name:node.name};
                 } else if (node.type === 'Literal') {
                     return {type:"property", base:parent.$parent, name:node.value};
@@ -759,13 +2022,22 @@ function classifyId(node) {
             }
             break;
         case 'ImportSpecifier':
-        case 'ImportDefaultSpecifier':
-        case 'ImportNamespaceSpecifier':
         case 'ExportSpecifier':
-            if (parent.local === node) {
+            var decl = parent.$parent;
+            if (parent.local === node && (parent.type === 'ImportSpecifier' || decl.source === null)) {
                 return {type:"variable", name:node.name};
             } else {
-                return null; // Module member renaming not supported.
+                return {type:"module", name:node.name, declaration:decl};
+            }
+        case 'ImportDefaultSpecifier':
+        case 'ImportNamespaceSpecifier':
+            return {type:"variable", name:node.name};
+        case 'BinaryExpression':
+        case 'ArrayExpression':
+        case 'CallExpression':
+        case 'NewExpression':
+            if (isPropertyNameLiteral(node)) {
+                return {type:"property", base:node, name:node.value};
             }
             break;
     }
@@ -775,6 +2047,12 @@ function classifyId(node) {
         return null;
 }
 
+/** True if the given node is an identifier referring to a variable */
+function isVariableId(node) {
+    var clazz = classifyId(node);
+    return clazz !== null && clazz.type === 'variable';
+}
+
 // To rename an identifier given some position, we find the identifier token, classify it, and then dispatch
 // to the proper renaming function (defined below).
 function computeRenaming(ast, file, offset) {
@@ -788,9 +2066,12 @@ function computeRenaming(ast, file, offset) {
     switch (idClass.type) {
         case 'variable':
             var scope = getVarDeclScope(node);
-            if (scope.type === 'Program') {
+            if (isGlobalVarScope(scope, node.name)) {
+                inferTypes(ast);
+                groups = computeGlobalVariableRenaming(ast, node.name, scope.$global_id);
+            } else if (isModule(scope) && isModuleBinding(scope, node.name)) {
                 inferTypes(ast);
-                groups = computeGlobalVariableRenaming(ast, node.name);
+                groups = computeModuleRenaming(ast, scope, node.name, null);
             } else {
                 groups = computeLocalVariableRenaming(scope, node.name);
             }
@@ -798,12 +2079,21 @@ function computeRenaming(ast, file, offset) {
         case 'label':
             groups = computeLabelRenaming(node);
             break;
+        case 'module':
+            inferTypes(ast);
+            groups = computeModuleRenaming(ast, null, node.name, getSpecifierModule(idClass.declaration));
+            break;
         case 'property':
             inferTypes(ast);
-            if (idClass.base.$type_node.rep() === ast.global.rep()) {
-                groups = computeGlobalVariableRenaming(ast, node.name);
+            var base = idClass.base.$type_node.rep();
+            var module = findModuleWithType(ast, base);
+            var globalId = findGlobalId(ast, base);
+            if (globalId !== null) {
+                groups = computeGlobalVariableRenaming(ast, idClass.name, globalId);
+            } else if (module !== null) {
+                groups = computeModuleRenaming(ast, null, idClass.name, module);
             } else {
-                groups = computePropertyRenaming(ast, node.name);
+                groups = computePropertyRenaming(ast, idClass.name);
             }
             break;
         default: throw new Error("unknown id class: " + idClass.type);
@@ -811,16 +2101,50 @@ function computeRenaming(ast, file, offset) {
     return groups;
 }
 
+// A class is linked to its parent class, and its prototype to the prototype of its parent class, by
+// `{child, parent, node}` objects, where `node` is the expression denoting the parent class (see `visitClass`).
+// The types are not unified by the type inference, so a property is looked up along these links instead.
+function findSuperLinks(ast) {
+    return ast.superLinks.map(function (link) {
+        return {child: link.child.rep(), parent: link.parent.rep(), node: link.node};
+    });
+}
+
+/** The farthest ancestor of `typ` along the given super links that has the named property, or `typ` itself,
+    as `{type, links}` where `links` are the super links leading to it */
+function findPropertyOwner(links, typ, name) {
+    var owner = {type: typ, links: []};
+    if (name === "prototype")
+        return owner; // the prototype of a class is not inherited
+    var visited = [typ];
+    function visit(child, path) {
+        links.forEach(function (link) {
+            if (link.child !== child || visited.indexOf(link.parent) !== -1)
+                return;
+            visited.push(link.parent);
+            var next = path.concat([link]);
+            if (link.parent.prty.has(name)) {
+                owner = {type: link.parent, links: next};
+            }
+            visit(link.parent, next);
+        });
+    }
+    visit(typ, []);
+    return owner;
+}
+
 // `computeRenamingGroupsForName` computes the groups for a given property name. The token
 // selected by the user is not an input, because the concrete token chosen does not influence
 // the choice of renaming groups.
 function computePropertyRenaming(ast, name) {
     var group2members = {};
-    var global = ast.global.rep().id;
+    var globals = getGlobalTypes(ast);
+    var superLinks = findSuperLinks(ast);
     function add(base, id) {
-        var key = base.$type_node.rep().id;
-        if (key === global)
+        var typ = base.$type_node.rep();
+        if (globals.indexOf(typ) !== -1)
             return; // global variables are kept separate
+        var key = findPropertyOwner(superLinks, typ, name).type.id;
         if (!group2members[key]) {
             group2members[key] = [];
         }
@@ -830,6 +2154,16 @@ function computePropertyRenaming(ast, name) {
         var clazz = classifyId(node);
         if (clazz !== null && clazz.type === 'property' && clazz.name === name) {
             add(clazz.base, node);
+        } else if (clazz !== null && clazz.type === 'variable' && clazz.name === name) {
+            var shorthand = getShorthandProperty(node);
+            if (shorthand !== null) {
+                add(shorthand.$parent, shorthand);
+            }
+            getEnclosingWithStatements(node).forEach(function (stmt) {
+                if (stmt.object.$type_node && stmt.object.$type_node.rep().prty.has(name)) {
+                    add(stmt.object, node); // may refer to a property of the object
+                }
+            });
         }
         children(node).forEach(visit);
     }
@@ -843,6 +2177,282 @@ function computePropertyRenaming(ast, name) {
     return groups;
 }
 
+// Explaining Property Groups
+// --------------------------
+// Identifiers of a property are grouped together because the types of their base expressions were unified.
+// The unifications on the paths between the base types in the spanning tree recorded by the `TypeUnifier` explain
+// the grouping. Unifying an identifier with its variable or a member expression with its property is not
+// interesting, and unifications of properties are explained by the unification of the objects they belong to.
+// Only unifications that merged two types already holding an object explain anything; storing an object in a
+// variable, for instance, merges nothing. The objects are the values of literals, functions, classes, `new`
+// expressions and parameters, and the bases of the groups other than variables and properties, such as `this`.
+// The confidence of a group is the confidence of the least certain unification explaining it.
+var UnificationKinds = {
+    assignment: {confidence: 1, description: "assignment"},
+    literal: {confidence: 1, description: "object literal"},
+    "class": {confidence: 1, description: "class definition"},
+    inheritance: {confidence: 1, description: "property inherited from a superclass"},
+    "function": {confidence: 1, description: "function definition"},
+    module: {confidence: 1, description: "import or export"},
+    constructor: {confidence: 1, description: "this in constructor"},
+    call: {confidence: 0.9, description: "call argument or return value"},
+    "return": {confidence: 0.9, description: "return statement"},
+    "this": {confidence: 0.9, description: "this receiver"},
+    expression: {confidence: 0.8, description: "conditional or logical expression"},
+    method: {confidence: 0.6, description: "function stored in a non-namespace object, assumed to be a method"},
+    library: {confidence: 0.9, description: "library model"},
+    script: {confidence: 1, description: "global variable of a script loaded into another global object"},
+    name: {confidence: 1, description: "property name in a string"},
+    other: {confidence: 0.8, description: "unification"}
+};
+
+/** Kind of unification caused by the given AST node */
+function getUnificationKind(node) {
+    switch (node.type) {
+        case 'Identifier':
+            return "variable";
+        case 'MemberExpression':
+            return "property";
+        case 'AssignmentExpression':
+        case 'AssignmentPattern':
+        case 'VariableDeclaration':
+        case 'ForInStatement':
+        case 'ForOfStatement':
+        case 'CatchClause':
+            return "assignment";
+        case 'ObjectExpression':
+        case 'ArrayExpression':
+            return "literal";
+        case 'ClassDeclaration':
+        case 'ClassExpression':
+            return "class";
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+            return "function";
+        case 'ImportDeclaration':
+        case 'ExportNamedDeclaration':
+        case 'ExportDefaultDeclaration':
+        case 'ExportAllDeclaration':
+            return "module";
+        case 'CallExpression':
+        case 'NewExpression':
+            return "call";
+        case 'ReturnStatement':
+            return "return";
+        case 'ThisExpression':
+        case 'Super':
+            return "this";
+        case 'LogicalExpression':
+        case 'ConditionalExpression':
+        case 'SequenceExpression':
+            return "expression";
+        default:
+            return "other";
+    }
+}
+
+/** The unification explaining the given edge as `{kind, node}`, or null if it is not interesting */
+function getEdgeReason(edge) {
+    var reason = edge.reason;
+    while (reason !== null && reason.kind === "property") {
+        reason = reason.cause.reason; // explained by the unification of the objects
+    }
+    if (reason === null)
+        return {kind: "other", node: null};
+    if (reason.type) { // reason is an AST node
+        reason = {kind: getUnificationKind(reason), node: reason};
+    }
+    if (reason.kind === "variable" || reason.kind === "property")
+        return null;
+    return reason;
+}
+
+/** Map from type node ids to the edges they are part of */
+function getUnificationGraph(ast) {
+    var graph = new Map;
+    ast.unifications.forEach(function (edge) {
+        graph.push(edge.x.id, edge);
+        graph.push(edge.y.id, edge);
+    });
+    return graph;
+}
+
+/** The edges on the paths from `source` to each of the `targets` in the unification graph */
+function findUnificationPaths(graph, source, targets) {
+    var parentEdge = new Map; // edge used to reach each type node
+    parentEdge.put(source.id, null);
+    var queue = [source];
+    while (queue.length > 0) {
+        var node = queue.shift();
+        (graph.get(node.id) || []).forEach(function (edge) {
+            var next = edge.x === node ? edge.y : edge.x;
+            if (!parentEdge.has(next.id)) {
+                parentEdge.put(next.id, edge);
+                queue.push(next);
+            }
+        });
+    }
+    var edges = [];
+    targets.forEach(function (target) {
+        var node = target;
+        var edge;
+        while ((edge = parentEdge.get(node.id))) {
+            if (edges.indexOf(edge) === -1) {
+                edges.push(edge);
+            }
+            node = edge.x === node ? edge.y : edge.x;
+        }
+    });
+    return edges;
+}
+
+function getEdgeKey(edge) {
+    return edge.x.id + "," + edge.y.id; // the same type nodes are never unified twice
+}
+
+/** Types of the expressions in the given AST that create an object or, for parameters, receive one */
+function findObjectTypes(ast) {
+    var types = [];
+    function visit(node) {
+        switch (node.type) {
+            case 'FunctionDeclaration':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                node.params.forEach(function (param) {
+                    if (param.type === 'Identifier' && param.$type_node) {
+                        types.push(param.$type_node);
+                    }
+                });
+                // fall through
+            case 'ObjectExpression':
+            case 'ArrayExpression':
+            case 'NewExpression':
+            case 'ClassDeclaration':
+            case 'ClassExpression':
+                if (node.$type_node) {
+                    types.push(node.$type_node);
+                }
+                break;
+        }
+        children(node).forEach(visit);
+    }
+    visit(ast);
+    return types;
+}
+
+/** Map from the keys of the unification edges that merged two types both holding one of the given types, to true */
+function findJoiningEdges(ast, types) {
+    var parent = new Map; // union-find over type node ids, replaying the unifications in order
+    var holds = new Map;
+    function find(id) {
+        var root = id;
+        while (parent.has(root)) {
+            root = parent.get(root);
+        }
+        while (id !== root) {
+            var next = parent.get(id);
+            parent.put(id, root);
+            id = next;
+        }
+        return root;
+    }
+    types.forEach(function (typ) {
+        holds.put(typ.id, true);
+    });
+    var joining = new Map;
+    ast.unifications.forEach(function (edge) {
+        var x = find(edge.x.id), y = find(edge.y.id);
+        if (holds.has(x) && holds.has(y)) {
+            joining.put(getEdgeKey(edge), true);
+        }
+        parent.put(y, x);
+        if (holds.has(y)) {
+            holds.put(x, true);
+        }
+    });
+    return joining;
+}
+
+/** Base expression of a property identifier or shorthand property in a renaming group, or null */
+function getPropertyBase(node) {
+    if (node.type === 'Property')
+        return node.$parent;
+    var clazz = classifyId(node);
+    return clazz !== null && clazz.type === 'property' ? clazz.base : null;
+}
+
+/** Explains why the given identifiers are grouped, as `{confidence, reasons}`, where reasons are `{kind, message, range}`.
+    `joining` contains the edges that merged two objects, as returned by `findJoiningEdges`. */
+function explainGroup(graph, joining, group, superLinks) {
+    var bases = new Map; // base types by the id of their representative
+    group.forEach(function (id) {
+        var base = getPropertyBase(id);
+        if (base !== null && base.$type_node && (bases.get(base.$type_node.rep().id) || []).indexOf(base.$type_node) === -1) {
+            bases.push(base.$type_node.rep().id, base.$type_node);
+        }
+    });
+    var name = group[0].type === 'Property' ? group[0].key.name : classifyId(group[0]).name;
+    var reasons = [];
+    function addReason(reason) {
+        if (reasons.some(function (r) { return r.kind === reason.kind && r.node === reason.node }))
+            return;
+        reasons.push(reason);
+    }
+    bases.forEach(function (key, types) {
+        findUnificationPaths(graph, types[0], types.slice(1)).forEach(function (edge) {
+            if (!joining.has(getEdgeKey(edge)))
+                return;
+            var reason = getEdgeReason(edge);
+            if (reason !== null) {
+                addReason(reason);
+            }
+        });
+        findPropertyOwner(superLinks, types[0].rep(), name).links.forEach(function (link) {
+            addReason({kind: "inheritance", node: link.node});
+        });
+    });
+    return {
+        confidence: reasons.reduce(function (c, reason) {
+            return Math.min(c, UnificationKinds[reason.kind].confidence);
+        }, 1),
+        reasons: reasons.map(function (reason) {
+            var range = reason.node === null ? null : identifierRange(reason.node);
+            var message = UnificationKinds[reason.kind].description;
+            if (range !== null) {
+                message += " at line " + (range.start.line + 1);
+            }
+            return {kind: reason.kind, message: message, range: range};
+        })
+    };
+}
+
+/** Converts renaming groups to ranges ordered as by `reorderGroupsStartingAt`, each with its explanation */
+function explainGroups(ast, groups, file, offset) {
+    var graph = getUnificationGraph(ast);
+    var objects = findObjectTypes(ast);
+    groups.forEach(function (group) {
+        group.forEach(function (id) {
+            var base = getPropertyBase(id);
+            if (base !== null && base.type !== 'Identifier' && base.type !== 'MemberExpression' && base.$type_node) {
+                objects.push(base.$type_node);
+            }
+        });
+    });
+    var joining = findJoiningEdges(ast, objects);
+    var superLinks = findSuperLinks(ast);
+    var explanations = groups.map(function (group) {
+        return explainGroup(graph, joining, group, superLinks);
+    });
+    var original = groups.slice();
+    groups.forEach(identifiersToRanges);
+    reorderGroupsStartingAt(groups, file, offset);
+    return groups.map(function (ranges) {
+        var explanation = explanations[original.indexOf(ranges)];
+        return {ranges: ranges, confidence: explanation.confidence, reasons: explanation.reasons};
+    });
+}
+
 function reorderGroupsStartingAt(groups, file, offset) {
     function compare(x,y) {
         if (x.file !== y.file) {
@@ -914,29 +2524,37 @@ function computeLabelRenaming(node) {
 // To rename global variables, we enumerate all ASTs looking for direct references as well as indirect ones through
 // the global object (i.e. `window.foo`). 
 // Somewhat optimistically, we assume that the user wants to rename the both types of references.
-function computeGlobalVariableRenaming(ast, name) {
+// Only programs sharing the global object identified by `global_id`, or sharing the variable through a linked
+// script (see Global Objects), are searched.
+function computeGlobalVariableRenaming(ast, name, global_id) {
     var ids = [];
-    var global = ast.global.rep();
+    var shared = getSharedGlobalIds(ast, global_id, name);
+    var globals = shared.map(function (id) { return getGlobalObjectType(ast, id) });
     function visit(node, shadowed) {
         switch (node.type) {
+            case 'Program':
+                if (shared.indexOf(node.$global_id) === -1)
+                    return;
+                break;
             case 'Identifier':
             case 'Literal':
                 var clazz = classifyId(node);
                 if (clazz !== null && clazz.name === name) {
                     if (clazz.type === 'variable' && !shadowed) {
                         ids.push(node);
-                    } else if (clazz.type === 'property' && clazz.base.$type_node.rep() === global) {
+                    } else if (clazz.type === 'property' && globals.indexOf(clazz.base.$type_node.rep()) !== -1) {
                         ids.push(node);
                     }
                 }
                 break;
-            case 'FunctionDeclaration':
-            case 'FunctionExpression':
-            case 'ArrowFunctionExpression':
-            case 'CatchClause':
-                if (node.$env.has(name)) {
-                    if (!shadowed && node.type === 'FunctionDeclaration' && node.id.name === name) {
+            default:
+                if (!shadowed && declaresVar(node, name)) {
+                    if (node.type === 'FunctionDeclaration' && node.id.name === name) {
                         ids.push(node.id); // name belongs to outer scope
+                    } else if (node.type === 'SwitchStatement') {
+                        visit(node.discriminant, false); // discriminant is outside the switch scope
+                        node.cases.forEach(function (caze) { visit(caze, true) });
+                        return;
                     }
                     shadowed = true;
                 }
@@ -953,24 +2571,25 @@ function computeGlobalVariableRenaming(ast, name) {
 
 // To rename local variables, we search its scope for references and cut off the search if the
 // variable gets shadowed.
-// We choose to ignore with statements because their use is frowned upon and seldom seen in practice;
-// they just don't seem worth the trouble.
+// Block scopes created by `let`, `const` and `class` shadow outer variables throughout the entire block,
+// including references that precede the declaration (the temporal dead zone).
+// References inside with statements are renamed too, as they may refer to the variable, but `checkRename`
+// reports them as unsafe (see Dynamic Scoping).
 function computeLocalVariableRenaming(scope, name) {
     var ids = [];
     function visit(node) {
         switch (node.type) {
             case 'Identifier':
-                if (node.name === name && classifyId(node).type === 'variable') {
+                if (node.name === name && isVariableId(node)) {
                     ids.push(node);
                 }
                 break;
-            case 'FunctionDeclaration':
-            case 'FunctionExpression':
-            case 'ArrowFunctionExpression':
-            case 'CatchClause':
-                if (node !== scope && node.$env.has(name)) { // shadowed?
+            default:
+                if (node !== scope && declaresVar(node, name)) { // shadowed?
                     if (node.type === 'FunctionDeclaration' && node.id.name === name) {
                         ids.push(node.id); // belongs to outer scope, hence not shadowed 
+                    } else if (node.type === 'SwitchStatement') {
+                        visit(node.discriminant); // discriminant is outside the switch scope
                     }
                     return;
                 }
@@ -981,40 +2600,1334 @@ function computeLocalVariableRenaming(scope, name) {
     if (scope.type === 'FunctionDeclaration') { // function decls name is not part of its own scope
         scope.params.forEach(visit) 
         visit(scope.body)
+    } else if (scope.type === 'SwitchStatement') { // neither is the discriminant of a switch
+        scope.cases.forEach(visit)
     } else {
         visit(scope)
     }
     return [ids];
 }
 
-// Public API
-// -----------------------------------------------
-// `JavaScriptBuffer` provides an AST-agnostic interface that deals with abstract file names
-// and source code offsets instead of node pointers. Abstract file names are strings used to
-// uniquely identify a script loaded into the buffer; they need not be paths in any file system.
-// We use the following two types to describe ranges in the source code.
+// Dynamic Scoping
+// ---------------
+// A few constructs make the variable referenced by a name depend on run-time values, so renaming the variable
+// may silently change the meaning of the program:
 //
-//     type Range = { range:int[2], 
-//                    loc: { start:Loc, 
+// - In the body of `with (obj)`, a name refers to the property of `obj` if it has one, and otherwise to the variable.
+//   Such names are renamed with the variable, and also with the property if the inferred type of `obj` has it.
+// - Code passed to a direct call of `eval` can refer to any variable in scope of the call.
+// - Code passed to an indirect `eval` or the `Function` constructor can refer to any global variable.
+// - The parameters of a sloppy mode function can be accessed by position through its `arguments` object.
+//
+// `checkDynamicScoping` reports these cases as "unsafe" conflicts, whose nodes are the offending constructs.
+
+/** The `with` statements whose body contains the given identifier, up to the scope declaring it, innermost first */
+function getEnclosingWithStatements(node) {
+    var scope = getVarDeclScope(node);
+    var result = [];
+    for (var prev = node, parent = node.$parent; parent && parent !== scope; prev = parent, parent = parent.$parent) {
+        if (parent.type === 'WithStatement' && parent.body === prev) {
+            result.push(parent);
+        }
+    }
+    return result;
+}
+
+/** True if the given identifier refers to the global variable of that name */
+function isGlobalReference(node) {
+    return isVariableId(node) && isGlobalVarScope(getVarDeclScope(node), node.name);
+}
+
+/** True if `node` is a call to the global `eval` function, which evaluates code in the scope of the call */
+function isDirectEval(node) {
+    return node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'eval' &&
+           isGlobalReference(node.callee);
+}
+
+/** Nodes below `root` that evaluate code at run-time, as `{global, node}` objects where `global` is true if
+    the code can only refer to global variables. `globalType` is the type of the global object, if inferred. */
+function findDynamicCode(root, globalType) {
+    var result = [];
+    function visit(node) {
+        if (isDirectEval(node)) {
+            result.push({global: false, node: node.callee});
+            node.arguments.forEach(visit);
+            return;
+        }
+        if (node.type === 'Identifier' && (node.name === 'eval' || node.name === 'Function') && isGlobalReference(node)) {
+            result.push({global: true, node: node}); // indirect eval, or a function created from source code
+        } else if (node.type === 'MemberExpression' && !node.computed &&
+                   (node.property.name === 'eval' || node.property.name === 'Function') &&
+                   globalType && node.object.$type_node && node.object.$type_node.rep() === globalType) {
+            result.push({global: true, node: node.property}); // e.g. window.eval
+        }
+        children(node).forEach(visit);
+    }
+    visit(root);
+    return result;
+}
+
+/** The references to the `arguments` object of the given function */
+function findArgumentsReferences(fun) {
+    var result = [];
+    function visit(node) {
+        if (getArgumentsFunction(node) === fun) {
+            result.push(node);
+        }
+        children(node).forEach(visit);
+    }
+    visit(fun.body);
+    return result;
+}
+
+
+function checkDynamicScoping(ast, ids, report) {
+    if (ids.length === 0)
+        return;
+    var name = ids[0].name;
+    var scopes = [];
+    ids.forEach(function (id) {
+        getEnclosingWithStatements(id).forEach(function (stmt) {
+            report("unsafe", name + " may refer to a property of the object in a with statement", [id, stmt.object]);
+        });
+        var scope = getVarDeclScope(id);
+        if (scopes.indexOf(scope) === -1) {
+            scopes.push(scope);
+        }
+    });
+    scopes.forEach(function (scope) {
+        var global = isGlobalVarScope(scope, name);
+        if (global) {
+            inferTypes(ast); // global objects are recognized by their type
+        }
+        var shared = global ? getSharedGlobalIds(ast, scope.$global_id, name) : [];
+        var globalType = global ? getGlobalObjectType(ast, scope.$global_id) : null;
+        findDynamicCode(global ? ast : scope, globalType).forEach(function (code) {
+            if (code.global && !global)
+                return;
+            if (global && shared.indexOf(getProgram(code.node).$global_id) === -1)
+                return; // evaluated in another global object
+            var message = code.node.name === 'Function' ? "code created by the Function constructor may refer to " + name
+                                                        : "code evaluated by eval may refer to " + name;
+            report("unsafe", message, [code.node]);
+        });
+        var index = isFunction(scope) ? scope.params.map(function (param) { return param.name }).lastIndexOf(name) : -1;
+        if (index !== -1 && hasAliasedArguments(scope)) {
+            var refs = findArgumentsReferences(scope).filter(function (ref) { return mayAccessParameter(ref, index) });
+            if (refs.length > 0) {
+                report("unsafe", "the parameter " + name + " may also be accessed through arguments", refs);
+            }
+        }
+    });
+}
+
+// Undeclared Globals
+// ------------------
+// A global variable is *declared* by a top-level declaration in a script. Other global names are either *built-in*,
+// i.e. provided by the JavaScript engine or the host environment and listed in `KnownGlobals`, or *implicit*.
+// In sloppy mode code, assigning to an undeclared name creates an implicit global variable, which is often a mistake
+// such as a missing `var`. In strict mode code, such an assignment throws a ReferenceError.
+// The list of known globals can be extended through `JavaScriptBuffer.KnownGlobals`.
+var KnownGlobals = [
+    // ECMAScript
+    'Object', 'Function', 'Array', 'String', 'Number', 'Boolean', 'Symbol', 'Date', 'RegExp', 'Math', 'JSON', 'Intl',
+    'Error', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError', 'URIError',
+    'Promise', 'Proxy', 'Reflect', 'Map', 'Set', 'WeakMap', 'WeakSet', 'ArrayBuffer', 'DataView',
+    'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array',
+    'Float32Array', 'Float64Array', 'NaN', 'Infinity', 'undefined', 'eval', 'isNaN', 'isFinite', 'parseInt',
+    'parseFloat', 'encodeURI', 'encodeURIComponent', 'decodeURI', 'decodeURIComponent', 'escape', 'unescape',
+    'globalThis',
+    // Browsers and web workers
+    'window', 'self', 'document', 'navigator', 'location', 'history', 'screen', 'console', 'alert', 'confirm',
+    'prompt', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'requestAnimationFrame',
+    'cancelAnimationFrame', 'XMLHttpRequest', 'fetch', 'localStorage', 'sessionStorage', 'performance', 'Image',
+    'Node', 'Element', 'HTMLElement', 'Event', 'CustomEvent', 'URL', 'Blob', 'File', 'FileReader', 'FormData',
+    'WebSocket', 'Worker', 'postMessage', 'importScripts', 'getComputedStyle', 'atob', 'btoa',
+    // Node.js, CommonJS and AMD
+    'global', 'process', 'Buffer', 'require', 'module', 'exports', '__dirname', '__filename', 'setImmediate',
+    'clearImmediate', 'define'
+];
+
+/** True if the given file declares the global variable of the given name in the global object `global_id`.
+    If `file` is null, checks all files. */
+function isDeclaredGlobal(ast, name, global_id, file) {
+    var shared = getSharedGlobalIds(ast, global_id, name);
+    return ast.programs.some(function (program) {
+        return (file === null || program.$file === file) && shared.indexOf(program.$global_id) !== -1 &&
+               !isModule(program) && program.$env.has(name);
+    });
+}
+
+/** Returns "global" if the global variable of the given name is declared in the global object `global_id`,
+    and otherwise "builtin" or "implicit" */
+function getGlobalKind(ast, name, global_id) {
+    if (isDeclaredGlobal(ast, name, global_id, null))
+        return "global";
+    return KnownGlobals.indexOf(name) !== -1 ? "builtin" : "implicit";
+}
+
+/** True if the given identifier assigns an undeclared global variable from a function in sloppy mode code */
+function isImplicitGlobalAssignment(node) {
+    return node.type === 'Identifier' && isGlobalReference(node) && getReferenceKind(node) === "write" &&
+           getEnclosingFunction(node).type !== 'Program' && !isStrict(node);
+}
+
+// A file that assigns a global variable inside a function without declaring it, while another file declares it, may
+// have meant a local variable of the same name, but more often initialises the global declared elsewhere. Such
+// assignments are renamed with the global variable, and listed with the undeclared references as a warning.
+function isUndeclaredInFile(ast, node, global_id) {
+    return isImplicitGlobalAssignment(node) && isDeclaredGlobal(ast, node.name, global_id, null) &&
+           !isDeclaredGlobal(ast, node.name, global_id, getNodeFile(node));
+}
+
+/** References to implicit globals in the given program, except for operands of `typeof`, and assignments to globals
+    that only other files declare */
+function findUndeclaredReferences(ast, program) {
+    var result = [];
+    function visit(node) {
+        if (node.type === 'Identifier' && isGlobalReference(node) &&
+                (getGlobalKind(ast, node.name, program.$global_id) === "implicit" &&
+                 !(node.$parent.type === 'UnaryExpression' && node.$parent.operator === 'typeof') ||
+                 isUndeclaredInFile(ast, node, program.$global_id))) {
+            result.push(node);
+        }
+        children(node).forEach(visit);
+    }
+    visit(program);
+    return result;
+}
+
+function describeUndeclaredReference(ast, node) {
+    if (isUndeclaredInFile(ast, node, getProgram(node).$global_id))
+        return node.name + " is not declared in this file, so assigning it changes the global variable of another " +
+               "file";
+    if (getReferenceKind(node) !== "write")
+        return node.name + " is not declared";
+    if (isStrict(node))
+        return node.name + " is not declared, so assigning it throws an error in strict mode";
+    return node.name + " is not declared, so assigning it creates a global variable";
+}
+
+// Global Objects
+// --------------
+// Files added with the same `global_id` option share a global object, and files with different ids, such as the
+// scripts of a page and those of a web worker, do not. A script can be loaded into another global object, e.g. by
+// `importScripts` in a web worker, in which case its global variables are shared by both global objects.
+// Calls to `importScripts` with string literal arguments are resolved by `linkModules` like module sources, and
+// scripts can be linked explicitly using `JavaScriptBuffer.prototype.linkGlobals`.
+
+// `importScripts(url, ...)` is recognized when `importScripts` is a global variable.
+function isImportScriptsCall(node) {
+    return node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+           node.callee.name === 'importScripts' && isGlobalVarScope(getVarDeclScope(node.callee), 'importScripts');
+}
+/** The string literals naming scripts imported by the given program, kept in its `$script_refs` field */
+function getImportedScripts(program) {
+    if (program.$script_refs)
+        return program.$script_refs;
+    var result = program.$script_refs = [];
+    function visit(node) {
+        if (isImportScriptsCall(node)) {
+            node.arguments.forEach(function (arg) {
+                if (arg.type === 'Literal' && typeof arg.value === 'string') {
+                    result.push(arg);
+                }
+            });
+        }
+        children(node).forEach(visit);
+    }
+    visit(program);
+    return result;
+}
+
+/** Scripts loaded into another global object, as `{program, global_id, node}` objects where `node` is the
+    `importScripts` argument loading it, or null for links made by `linkGlobals` */
+function getGlobalLinks(asts) {
+    var links = [];
+    asts.programs.forEach(function (program) {
+        getImportedScripts(program).forEach(function (node) {
+            if (node.$script && !isModule(node.$script)) {
+                links.push({program: node.$script, global_id: program.$global_id, node: node});
+            }
+        });
+    });
+    (asts.$global_links || []).forEach(function (link) {
+        asts.programs.forEach(function (program) {
+            if (program.$file === link.file && !isModule(program)) {
+                links.push({program: program, global_id: link.global_id, node: null});
+            }
+        });
+    });
+    return links;
+}
+
+/** The ids of the global objects sharing the global variable `name` with the global object `global_id` */
+function getSharedGlobalIds(asts, global_id, name) {
+    var links = getGlobalLinks(asts).filter(function (link) { return link.program.$env.has(name) });
+    var ids = [global_id];
+    var changed = true;
+    while (changed) {
+        changed = false;
+        links.forEach(function (link) {
+            var from = link.program.$global_id;
+            if ((ids.indexOf(from) === -1) !== (ids.indexOf(link.global_id) === -1)) {
+                ids.push(ids.indexOf(from) === -1 ? from : link.global_id);
+                changed = true;
+            }
+        });
+    }
+    return ids;
+}
+
+/** Type of the global object with the given id, or null if no program uses it */
+function getGlobalObjectType(asts, global_id) {
+    var t = asts.globals.get(global_id);
+    return t ? t.rep() : null;
+}
+/** Types of all global objects */
+function getGlobalTypes(asts) {
+    var result = [];
+    asts.globals.forEach(function (global_id, t) {
+        result.push(t.rep());
+    });
+    return result;
+}
+/** Id of the global object with the given type, or null if it is not a global object */
+function findGlobalId(asts, typ) {
+    var result = null;
+    asts.globals.forEach(function (global_id, t) {
+        if (t.rep() === typ) {
+            result = global_id;
+        }
+    });
+    return result;
+}
+
+// Renaming Module Members
+// -----------------------
+// Before renaming, `linkModules` resolves the source of each import and export declaration and each CommonJS
+// `require` call to a program in the buffer, and stores it in the `$module` field of the node.
+// The `resolve` function maps a source string to a file name (see `JavaScriptBuffer.prototype.setModuleResolver`).
+// The nodes with a module source are found once per program, and kept in its `$module_refs` field. The same traversal
+// tells whether the program uses the CommonJS `module.exports` or `exports`, kept in its `$commonjs_exports` field.
+function linkModules(asts, resolve) {
+    var files = asts.programs.map(function (program) { return program.$file });
+    asts.programs.forEach(function (program) {
+        getModuleReferences(program).forEach(function (node) {
+            node.$module = findProgram(asts, resolve(getModuleSource(node).value, program.$file, files));
+        });
+        getImportedScripts(program).forEach(function (node) {
+            node.$script = findProgram(asts, resolve(node.value, program.$file, files));
+        });
+    });
+}
+function getModuleReferences(program) {
+    if (program.$module_refs)
+        return program.$module_refs;
+    var result = program.$module_refs = [];
+    program.$commonjs_exports = false;
+    function visit(node) {
+        if (getModuleSource(node) !== null) {
+            result.push(node);
+        }
+        if (isCommonJSExports(node)) {
+            program.$commonjs_exports = true;
+        }
+        children(node).forEach(visit);
+    }
+    visit(program);
+    return result;
+}
+
+// A script is treated as a CommonJS module if it calls `require`, or uses the global `module.exports` or `exports`,
+// unless it declares `module` or `exports` itself. In other scripts, these names refer to global variables.
+// The result is kept in the `$commonjs` field of the program.
+function isCommonJSModule(program) {
+    if (program.$commonjs !== undefined)
+        return program.$commonjs;
+    if (isModule(program) || program.$env.has('module') || program.$env.has('exports'))
+        return program.$commonjs = false;
+    return program.$commonjs = getModuleReferences(program).some(isRequireCall) || program.$commonjs_exports;
+}
+function isCommonJSExports(node) {
+    if (node.type === 'MemberExpression' && !node.computed && node.object.type === 'Identifier' &&
+            node.object.name === 'module' && node.property.name === 'exports')
+        return isGlobalVarScope(getVarDeclScope(node.object), 'module');
+    if (node.type === 'Identifier' && node.name === 'exports' && isVariableId(node))
+        return isGlobalVarScope(getVarDeclScope(node), 'exports');
+    return false;
+}
+
+// `require('foo')` is recognized as a CommonJS import when `require` is a global variable, or the `require`
+// parameter of an AMD factory function.
+function isRequireCall(node) {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'Identifier' || node.callee.name !== 'require')
+        return false;
+    if (node.arguments.length !== 1 || node.arguments[0].type !== 'Literal' || typeof node.arguments[0].value !== 'string')
+        return false;
+    var scope = getVarDeclScope(node.callee);
+    if (isGlobalVarScope(scope, 'require'))
+        return true;
+    if (!isFunction(scope))
+        return false;
+    for (var i=0; i<scope.params.length; i++) {
+        if (scope.params[i].name === 'require')
+            return getAMDDependencyName(scope, i) === 'require';
+    }
+    return false;
+}
+
+// AMD modules are defined by `define(id?, dependencies?, factory)` where the dependencies are an array of module ids.
+// The parameters of the factory function receive the dependencies, and its return value is the module.
+// `require(dependencies, callback)` loads modules in the same way, but does not define a module.
+// `getAMDCall` returns null or an object `{define:boolean, dependencies:ArrayExpression|null, factory:node|null}`.
+function getAMDCall(node) {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'Identifier')
+        return null;
+    var name = node.callee.name;
+    if (name !== 'define' && name !== 'require')
+        return null;
+    var args = node.arguments;
+    var i = 0;
+    if (name === 'define' && args.length > 1 && args[0].type === 'Literal' && typeof args[0].value === 'string') {
+        i++; // skip module id
+    }
+    var dependencies = null;
+    if (i < args.length && args[i].type === 'ArrayExpression') {
+        dependencies = args[i++];
+    } else if (name === 'require') {
+        return null; // CommonJS require
+    }
+    if (!isGlobalVarScope(getVarDeclScope(node.callee), name))
+        return null;
+    return {define: name === 'define', dependencies: dependencies, factory: i < args.length ? args[i] : null};
+}
+
+// The special dependencies `require`, `exports` and `module` give the factory access to the CommonJS API.
+// Without a dependency array, the factory receives exactly these three.
+var AMDSpecialDependencies = ['require', 'exports', 'module'];
+
+/** Name of the dependency passed as the given parameter of an AMD factory function, or null */
+function getAMDDependencyName(fun, index) {
+    var amd = fun.$parent && getAMDCall(fun.$parent);
+    if (amd === null || amd.factory !== fun)
+        return null;
+    if (amd.dependencies === null)
+        return amd.define && index < AMDSpecialDependencies.length ? AMDSpecialDependencies[index] : null;
+    var dep = amd.dependencies.elements[index];
+    return dep && dep.type === 'Literal' && typeof dep.value === 'string' ? dep.value : null;
+}
+
+function isAMDDependency(node) {
+    if (node.type !== 'Literal' || typeof node.value !== 'string' || node.$parent.type !== 'ArrayExpression')
+        return false;
+    if (AMDSpecialDependencies.indexOf(node.value) !== -1)
+        return false;
+    var amd = getAMDCall(node.$parent.$parent);
+    return amd !== null && amd.dependencies === node.$parent;
+}
+
+/** The string literal denoting the imported module of an import or export declaration, a `require` call,
+    or an AMD dependency, or null */
+function getModuleSource(node) {
+    if (isModuleDeclaration(node) && node.source) // exports without a from clause have a null source
+        return node.source;
+    if (isRequireCall(node))
+        return node.arguments[0];
+    if (isAMDDependency(node))
+        return node;
+    return null;
+}
+function findProgram(asts, file) {
+    for (var i=0; i<asts.programs.length; i++) {
+        if (asts.programs[i].$file === file)
+            return asts.programs[i];
+    }
+    return null;
+}
+
+// By default, sources starting with a dot are resolved relative to the importing file, with an optional `.js`
+// extension or `/index.js` suffix. Other sources must match a file name, with an optional `.js` extension.
+function defaultModuleResolver(source, file, files) {
+    var candidates = [source, source + '.js'];
+    if (source[0] === '.') {
+        var path = normalizePath(file.substring(0, file.lastIndexOf('/') + 1) + source);
+        candidates = [path, path + '.js', path + '/index.js'];
+    }
+    for (var i=0; i<candidates.length; i++) {
+        if (files.indexOf(candidates[i]) !== -1)
+            return candidates[i];
+    }
+    return null;
+}
+function normalizePath(path) {
+    var parts = path.split('/');
+    var result = [];
+    for (var i=0; i<parts.length; i++) {
+        if (parts[i] === '.')
+            continue;
+        if (parts[i] === '..' && result.length > 0 && result[result.length-1] !== '..' && result[result.length-1] !== '') {
+            result.pop();
+        } else {
+            result.push(parts[i]);
+        }
+    }
+    return result.join('/');
+}
+
+// A module is identified by its program, or by its source string if it could not be resolved.
+// Export specifiers without a from clause refer to the module containing them.
+function getSpecifierModule(decl) {
+    if (!decl.source)
+        return getProgram(decl);
+    return decl.$module || decl.source.value;
+}
+function findModuleWithType(ast, typ) {
+    for (var i=0; i<ast.programs.length; i++) {
+        var program = ast.programs[i];
+        if (isModule(program) && program.$type_node && program.$type_node.rep() === typ)
+            return program;
+    }
+    return null;
+}
+
+// A module-scoped variable is bound to a module member if it is imported or exported without an alias,
+// i.e. `import {x} from 'foo'`, `export {x}` or `export var x`. Renaming such a variable must also rename the member.
+// `getBindingModules` returns the modules whose member is bound to the given variable.
+function getBindingModules(program, name) {
+    var result = [];
+    program.body.forEach(function (stmt) {
+        switch (stmt.type) {
+            case 'ImportDeclaration':
+                stmt.specifiers.forEach(function (spec) {
+                    if (spec.type === 'ImportSpecifier' && spec.local === spec.imported && spec.local.name === name) {
+                        result.push(getSpecifierModule(stmt));
+                    }
+                });
+                break;
+            case 'ExportNamedDeclaration':
+                if (stmt.source !== null)
+                    break;
+                if (stmt.declaration !== null) {
+                    getDeclaredIdentifiers(stmt.declaration).forEach(function (id) {
+                        if (id.name === name) {
+                            result.push(program);
+                        }
+                    });
+                }
+                stmt.specifiers.forEach(function (spec) {
+                    if (spec.local === spec.exported && spec.local.name === name) {
+                        result.push(program);
+                    }
+                });
+                break;
+        }
+    });
+    return result;
+}
+function isModuleBinding(program, name) {
+    return getBindingModules(program, name).length > 0;
+}
+
+// To rename a module member, we rename the specifiers referring to it in every program, and follow
+// unaliased imports and re-exports to the variables and members bound to it.
+// Property accesses on namespace objects (`import * as ns`) are found using the inferred types.
+// The renaming starts either from the module-scoped variable `name` in `program`, or from the member `name` of `module`.
+function computeModuleRenaming(ast, program, name, module) {
+    var ids = [];
+    var renamedBindings = [];
+    var renamedModules = [];
+    function add(node) {
+        if (ids.indexOf(node) === -1) {
+            ids.push(node);
+        }
+    }
+    function renameBinding(program) {
+        if (renamedBindings.indexOf(program) !== -1)
+            return;
+        renamedBindings.push(program);
+        computeLocalVariableRenaming(program, name)[0].forEach(add);
+        getBindingModules(program, name).forEach(renameMember);
+    }
+    function renameMember(module) {
+        if (renamedModules.indexOf(module) !== -1)
+            return;
+        renamedModules.push(module);
+        ast.programs.forEach(function (prog) {
+            prog.body.forEach(function (stmt) {
+                switch (stmt.type) {
+                    case 'ImportDeclaration':
+                        if (getSpecifierModule(stmt) !== module)
+                            break;
+                        stmt.specifiers.forEach(function (spec) {
+                            if (spec.type === 'ImportSpecifier' && spec.imported.name === name) {
+                                add(spec.imported);
+                                if (spec.local === spec.imported) {
+                                    renameBinding(prog);
+                                }
+                            }
+                        });
+                        break;
+                    case 'ExportNamedDeclaration':
+                        if (prog === module) {
+                            if (stmt.declaration !== null && stmt.source === null) {
+                                getDeclaredIdentifiers(stmt.declaration).forEach(function (id) {
+                                    if (id.name === name) {
+                                        renameBinding(prog);
+                                    }
+                                });
+                            }
+                            stmt.specifiers.forEach(function (spec) {
+                                if (spec.exported.name === name) {
+                                    add(spec.exported);
+                                    if (spec.local === spec.exported) {
+                                        if (stmt.source === null) {
+                                            renameBinding(prog);
+                                        } else {
+                                            renameMember(getSpecifierModule(stmt));
+                                        }
+                                    }
+                                }
+                            });
+                        }
+                        if (stmt.source !== null && getSpecifierModule(stmt) === module) {
+                            stmt.specifiers.forEach(function (spec) {
+                                if (spec.local.name === name) {
+                                    add(spec.local);
+                                    if (spec.local === spec.exported) {
+                                        renameMember(prog); // re-exported under the same name
+                                    }
+                                }
+                            });
+                        }
+                        break;
+                    case 'ExportAllDeclaration':
+                        if (prog === module) {
+                            renameMember(getSpecifierModule(stmt));
+                        }
+                        if (getSpecifierModule(stmt) === module) {
+                            renameMember(prog);
+                        }
+                        break;
+                }
+            });
+        });
+    }
+    if (program !== null) {
+        renameBinding(program);
+    } else {
+        renameMember(module);
+    }
+    var namespaces = renamedModules.filter(function (module) {
+        return typeof module !== 'string' && module.$type_node;
+    }).map(function (module) {
+        return module.$type_node.rep();
+    });
+    function isNamespace(base) {
+        return base.$type_node && namespaces.indexOf(base.$type_node.rep()) !== -1;
+    }
+    function visit(node) {
+        var clazz = classifyId(node);
+        if (clazz !== null && clazz.type === 'property' && clazz.name === name && isNamespace(clazz.base)) {
+            add(node);
+        } else if (clazz !== null && clazz.type === 'variable' && clazz.name === name) {
+            var shorthand = getShorthandProperty(node);
+            if (shorthand !== null && isNamespace(shorthand.$parent)) {
+                add(shorthand);
+            }
+        }
+        children(node).forEach(visit);
+    }
+    if (namespaces.length > 0) {
+        visit(ast);
+    }
+    return [ids];
+}
+
+// `computeRenamingGroupAt` returns the group of identifiers renamed together with the identifier at the given offset.
+function computeRenamingGroupAt(ast, file, offset) {
+    var node = findNode(ast, file, offset);
+    var groups = computeRenaming(ast, file, offset);
+    if (groups === null)
+        return null;
+    for (var i=0; i<groups.length; i++) {
+        if (groups[i].some(function (id) { return id === node || id.key === node })) {
+            return groups[i];
+        }
+    }
+    return groups[0] || [];
+}
+
+// Checking Renamings
+// ------------------
+// Before applying a renaming, we check that the new name is valid and that the renamed identifiers do not
+// get mixed up with existing identifiers of that name. The following kinds of conflicts are reported:
+//
+// - `invalid`: the new name is not an identifier.
+// - `keyword`: the new name is a reserved word, which cannot be used as a variable or label.
+// - `redeclaration`: the new name is already declared in the scope of the renamed variable or label.
+// - `capture`: a renamed reference would refer to an inner declaration of the new name.
+// - `shadow`: an existing reference to the new name would refer to the renamed variable.
+// - `property`: a property of the new name already exists on the type of a renamed property.
+// - `unsafe`: a renamed variable may be accessed dynamically, through `with`, `eval` or `arguments`.
+//
+// Each conflict is reported as `{type, message, nodes}`, where `nodes` are the offending identifiers.
+function computeRenamingConflicts(ast, file, offset, newName) {
+    var group = computeRenamingGroupAt(ast, file, offset);
+    if (group === null)
+        return null;
+    var conflicts = [];
+    function report(type, message, nodes) {
+        for (var i=0; i<conflicts.length; i++) {
+            if (conflicts[i].type === type && conflicts[i].message === message) {
+                conflicts[i].nodes.push.apply(conflicts[i].nodes, nodes);
+                return;
+            }
+        }
+        conflicts.push({type: type, message: message, nodes: nodes});
+    }
+    var variables = [], labels = [], properties = [], members = [];
+    group.forEach(function (id) {
+        if (id.type === 'Property') {
+            properties.push(id); // shorthand property
+            return;
+        }
+        switch (classifyId(id).type) {
+            case 'variable': variables.push(id); break;
+            case 'label': labels.push(id); break;
+            case 'property': properties.push(id); break;
+            case 'module': members.push(id); break;
+        }
+    });
+    var nameProblem = getNameProblem(newName, variables.concat(labels).some(isStrict));
+    if (nameProblem !== null && (variables.length > 0 || labels.length > 0)) {
+        report(nameProblem, describeNameProblem(nameProblem, newName), variables.concat(labels));
+    }
+    if (nameProblem === "invalid") { // reserved words are allowed as property names and module member names
+        var ids = properties.concat(members).filter(function (id) { return id.type === 'Identifier' });
+        if (ids.length > 0) {
+            report(nameProblem, describeNameProblem(nameProblem, newName), ids);
+        }
+    }
+    checkVariableConflicts(ast, variables, newName, report);
+    checkLabelConflicts(labels, newName, report);
+    checkPropertyConflicts(ast, properties, newName, report);
+    checkDynamicScoping(ast, variables, report);
+    checkSkippedLines(ast, group, report);
+    return conflicts;
+}
+
+// Lines skipped because of a syntax error (see `parseWithRecovery`) are not analysed, so an occurrence of the name
+// on such a line may be a reference that would not be renamed. Occurrences within the scope of a local variable or
+// label, or anywhere for other names, are reported as "skipped" conflicts.
+function checkSkippedLines(ast, group, report) {
+    var id = group[0].type === 'Property' ? group[0].key : group[0];
+    var clazz = classifyId(id);
+    var name = clazz.name;
+    var within = null; // the node whose code may contain references, or null for all programs
+    if (clazz.type === 'variable' && !isGlobalVarScope(getVarDeclScope(id), name)) {
+        within = getVarDeclScope(id);
+    } else if (clazz.type === 'label') {
+        within = getEnclosingFunction(id);
+    }
+    var pattern = new RegExp('(^|[^\\w$])(' + name.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&') + ')(?![\\w$])', 'g');
+    var occurrences = [];
+    ast.programs.forEach(function (program) {
+        if (within !== null && getProgram(within) !== program)
+            return;
+        program.$skipped.forEach(function (line) {
+            if (within !== null && (line.range[1] <= within.range[0] || line.range[0] >= within.range[1]))
+                return;
+            var match;
+            pattern.lastIndex = 0;
+            while ((match = pattern.exec(line.text)) !== null) {
+                var column = match.index + match[1].length;
+                occurrences.push({
+                    type: 'Identifier',
+                    name: name,
+                    range: [line.range[0] + column, line.range[0] + column + name.length],
+                    loc: {start: {line: line.loc.start.line, column: line.loc.start.column + column},
+                          end: {line: line.loc.start.line, column: line.loc.start.column + column + name.length}},
+                    $parent: program
+                });
+            }
+        });
+    });
+    if (occurrences.length > 0) {
+        report("skipped", name + " occurs on a line that was skipped because of a syntax error", occurrences);
+    }
+}
+
+// Strict mode code reserves a few more words, and forbids declaring `eval` and `arguments`.
+var StrictModeReservedWords = ['implements', 'interface', 'package', 'private', 'protected', 'public', 'static',
+                               'eval', 'arguments'];
+
+/** Returns "invalid" or "keyword" if `name` cannot be used as an identifier, or null if it can.
+    If `strict` is true, the name must also be valid in strict mode code. */
+function getNameProblem(name, strict) {
+    var tokens;
+    try {
+        tokens = esprima.tokenize(name);
+    } catch (e) {
+        return "invalid";
+    }
+    if (tokens.length !== 1 || tokens[0].value !== name)
+        return "invalid";
+    switch (tokens[0].type) {
+        case 'Identifier':
+            return strict && StrictModeReservedWords.indexOf(name) !== -1 ? "keyword" : null;
+        case 'Keyword':
+        case 'Null':
+        case 'Boolean':
+            return "keyword";
+        default:
+            return "invalid";
+    }
+}
+function describeNameProblem(problem, name) {
+    return problem === "keyword" ? name + " is a reserved word" : name + " is not a valid identifier";
+}
+
+function isAncestor(ancestor, node) {
+    while (node && node !== ancestor) {
+        node = node.$parent;
+    }
+    return node === ancestor;
+}
+
+function checkVariableConflicts(ast, ids, newName, report) {
+    var scopes = [];
+    ids.forEach(function (id) {
+        var scope = getVarDeclScope(id);
+        var target = getVarDeclScope(id, newName);
+        if (scopes.indexOf(scope) === -1) {
+            scopes.push(scope);
+        }
+        if (target !== scope && isAncestor(scope, target)) {
+            report("capture", newName + " is declared in an inner scope", [id, target.$env.get(newName)]);
+        }
+    });
+    scopes.forEach(function (scope) {
+        if (scope.type === 'Program' && !isModule(scope)) {
+            inferTypes(ast);
+            var globals = [].concat.apply([], computeGlobalVariableRenaming(ast, newName, scope.$global_id));
+            if (getGlobalKind(ast, newName, scope.$global_id) === "builtin") {
+                var renamed = ids.filter(function (id) { return getVarDeclScope(id) === scope });
+                report("shadow", newName + " is a built-in global variable", globals.length > 0 ? globals : renamed);
+            } else if (globals.length > 0) {
+                report("redeclaration", newName + " is already a global variable", globals);
+            }
+        } else if (scope.$env.has(newName)) {
+            report("redeclaration", newName + " is already declared in this scope", [scope.$env.get(newName)]);
+        } else {
+            var refs = computeLocalVariableRenaming(scope, newName)[0];
+            if (refs.length > 0) {
+                report("shadow", "references to " + newName + " would refer to the renamed variable", refs);
+            }
+        }
+    });
+}
+
+function checkLabelConflicts(ids, newName, report) {
+    ids.forEach(function (id) {
+        var isDecl = id.$parent.type === 'LabeledStatement';
+        var node = id.$parent.$parent;
+        while (node && !isFunction(node)) {
+            if (node.type === 'LabeledStatement') {
+                if (!isDecl && node.label.name === id.name)
+                    break; // reached the declaration of the renamed label
+                if (node.label.name === newName && isDecl) {
+                    report("redeclaration", "the label " + newName + " is already declared", [node.label]);
+                } else if (node.label.name === newName) {
+                    report("capture", "the label " + newName + " is declared in an inner statement", [id, node.label]);
+                }
+            }
+            node = node.$parent;
+        }
+    });
+}
+
+function checkPropertyConflicts(ast, ids, newName, report) {
+    if (ids.length === 0)
+        return;
+    inferTypes(ast);
+    var types = ids.map(function (id) {
+        var base = id.type === 'Property' ? id.$parent : classifyId(id).base;
+        return base.$type_node && base.$type_node.rep();
+    });
+    var globals = getGlobalTypes(ast);
+    computePropertyRenaming(ast, newName).forEach(function (group) {
+        var first = group[0];
+        var base = first.type === 'Property' ? first.$parent : classifyId(first).base;
+        var type = base.$type_node.rep();
+        if (globals.indexOf(type) === -1 && types.indexOf(type) !== -1) {
+            report("property", "the property " + newName + " already exists on this object", group);
+        }
+    });
+}
+
+// Finding References
+// ------------------
+// The identifiers renamed together are exactly the references to the same variable, property or label.
+// Each reference is classified as a "declaration", a "write", or a "read" by `getReferenceKind`.
+// Object literal keys and method names count as declarations of properties.
+function getReferenceKind(node) {
+    if (node.type === 'Property') { // property role of a shorthand property
+        return node.$parent.type === 'ObjectExpression' ? "declaration" : "read";
+    }
+    var parent = node.$parent;
+    switch (parent.type) {
+        case 'Property':
+            if (parent.key === node && !isShorthand(parent))
+                return parent.$parent.type === 'ObjectExpression' ? "declaration" : "read";
+            break;
+        case 'MethodDefinition':
+            if (parent.key === node)
+                return "declaration";
+            break;
+        case 'MemberExpression':
+            if (parent.property === node)
+                return getAccessKind(parent) === "write" ? "write" : "read";
+            break;
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+        case 'ClassDeclaration':
+        case 'ClassExpression':
+            if (parent.id === node)
+                return "declaration";
+            break;
+        case 'ImportSpecifier':
+        case 'ImportDefaultSpecifier':
+        case 'ImportNamespaceSpecifier':
+            return parent.local === node ? "declaration" : "read";
+        case 'ExportSpecifier':
+            return parent.exported === node && parent.$parent.source === null ? "declaration" : "read";
+        case 'LabeledStatement':
+            return "declaration";
+    }
+    return getAccessKind(node);
+}
+
+/** Classifies an identifier or member expression by the context it occurs in, looking through enclosing patterns */
+function getAccessKind(node) {
+    var parent = node.$parent;
+    while (true) {
+        if (parent.type === 'Property' && parent.value === node && parent.$parent.type === 'ObjectPattern') {
+            node = parent.$parent;
+        } else if (parent.type === 'Property' && isShorthand(parent) && parent.$parent.type === 'ObjectPattern') {
+            node = parent.$parent;
+        } else if ((parent.type === 'ArrayPattern') ||
+                   (parent.type === 'AssignmentPattern' && parent.left === node) ||
+                   (parent.type === 'RestElement')) {
+            node = parent;
+        } else {
+            break;
+        }
+        parent = node.$parent;
+    }
+    switch (parent.type) {
+        case 'VariableDeclarator':
+            return parent.id === node ? "declaration" : "read";
+        case 'CatchClause':
+            return "declaration";
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+            return parent.params.indexOf(node) !== -1 ? "declaration" : "read";
+        case 'AssignmentExpression':
+            return parent.left === node ? "write" : "read";
+        case 'UpdateExpression':
+            return "write";
+        case 'ForInStatement':
+        case 'ForOfStatement':
+            return parent.left === node ? "write" : "read";
+        default:
+            return "read";
+    }
+}
+
+/** The expression assigned by a simple assignment to the given identifier, or to the property it names, or null */
+function getAssignedValue(node) {
+    var target = node.$parent.type === 'MemberExpression' && node.$parent.property === node ? node.$parent : node;
+    var parent = target.$parent;
+    if (parent.type === 'AssignmentExpression' && parent.left === target && parent.operator === '=')
+        return parent.right;
+    return null;
+}
+
+function referenceRanges(nodes) {
+    return nodes.filter(function (node) {
+        return node.type !== 'Property' || nodes.indexOf(node.key) === -1;
+    }).map(function (node) {
+        var range = identifierRange(node.type === 'Property' ? node.key : node);
+        range.kind = getReferenceKind(node);
+        return range;
+    });
+}
+
+// Querying Types
+// --------------
+// After type inference, every expression has a type node, and the representative of that node identifies its type.
+// Types are described by their id, the names of their properties, whether they seem to be namespaces, and the
+// expressions that construct objects of that type. Pseudo-properties starting with `@` are not listed.
+// Type ids are only meaningful until the buffer changes.
+
+/** The node whose type is denoted by the token at the given node. Property names denote the type of the property. */
+function getTypedNode(node) {
+    var parent = node.$parent;
+    if (parent) {
+        switch (parent.type) {
+            case 'MemberExpression':
+                if (parent.property === node && !parent.computed)
+                    node = parent;
+                break;
+            case 'Property':
+            case 'MethodDefinition':
+                if (parent.key === node && !isShorthand(parent))
+                    node = parent.value;
+                break;
+        }
+    }
+    while (node && !node.$type_node) {
+        node = node.$parent;
+    }
+    return node || null;
+}
+
+function isConstruction(node) {
+    switch (node.type) {
+        case 'ObjectExpression':
+        case 'ArrayExpression':
+        case 'NewExpression':
+        case 'FunctionExpression':
+        case 'FunctionDeclaration':
+        case 'ArrowFunctionExpression':
+        case 'ClassExpression':
+        case 'ClassDeclaration':
+            return true;
+        default:
+            return false;
+    }
+}
+
+/** Map from type ids to the nodes constructing objects of that type */
+function findConstructions(ast) {
+    var result = new Map;
+    function visit(node) {
+        if (isConstruction(node) && node.$type_node) {
+            result.push(node.$type_node.rep().id, node);
+        }
+        children(node).forEach(visit);
+    }
+    visit(ast);
+    return result;
+}
+
+function describeType(typ, constructions) {
+    var properties = [];
+    typ.prty.forEach(function (name) {
+        if (name[0] !== '@') {
+            properties.push(name);
+        }
+    });
+    properties.sort();
+    return {
+        id: typ.id,
+        properties: properties,
+        namespace: !!typ.namespace,
+        constructions: (constructions || []).map(identifierRange)
+    };
+}
+
+// Completing Property Names
+// -------------------------
+// Code being typed is rarely valid, e.g. `foo.` is missing a property name. If the file in the buffer already has
+// a property access at the offset, such as `foo.ba`, its receiver is typed by the current inference. Otherwise,
+// the partially typed property name is replaced with a placeholder, and if that does not parse, the code after the
+// placeholder is dropped and the open brackets are closed. The types are then inferred for the patched file, and
+// the types of the buffer are restored afterwards (see `saveTypes`).
+var CompletionPlaceholder = "$completion$";
+
+/** Null, or the start and prefix of the property name being typed at the given offset, and patched source codes to try */
+function getCompletionSources(source, offset) {
+    var start = offset;
+    while (start > 0 && /[\w$]/.test(source[start-1])) {
+        start--;
+    }
+    var dot = start;
+    while (dot > 0 && /\s/.test(source[dot-1])) {
+        dot--;
+    }
+    if (dot === 0 || source[dot-1] !== '.')
+        return null;
+    var head = source.substring(0, start) + CompletionPlaceholder;
+    var sources = [head + source.substring(offset)];
+    var closed = closeBrackets(head);
+    if (closed !== null) {
+        sources.push(closed);
+    }
+    return {start: start, prefix: source.substring(start, offset), sources: sources};
+}
+
+/** Appends the brackets needed to close those left open in the given code, or returns null if it cannot be tokenized */
+function closeBrackets(code) {
+    var tokens;
+    try {
+        tokens = esprima.tokenize(code, {tolerant:true});
+    } catch (e) {
+        return null;
+    }
+    var closing = {'(': ')', '[': ']', '{': '}'};
+    var stack = [];
+    for (var i=0; i<tokens.length; i++) {
+        var tok = tokens[i];
+        if (tok.type !== 'Punctuator')
+            continue;
+        if (closing.hasOwnProperty(tok.value)) {
+            stack.push(closing[tok.value]);
+        } else if (tok.value === ')' || tok.value === ']' || tok.value === '}') {
+            stack.pop();
+        }
+    }
+    return code + '\n' + stack.reverse().join('');
+}
+
+/** The member expression whose property name starts at the given offset, or null */
+function findCompletedMember(ast, file, start) {
+    var node = findNode(ast, file, start);
+    if (node === null || node.type !== 'Identifier' || identifierRange(node).start.offset !== start)
+        return null;
+    var parent = node.$parent;
+    return parent.type === 'MemberExpression' && parent.property === node && !parent.computed ? parent : null;
+}
+
+// Inferred types are stored in the ASTs, so inferring types for a patched buffer overwrites those of the other files.
+// `saveTypes` records the types of the given programs, and returns a function restoring them.
+function saveTypes(asts) {
+    var nodes = [];
+    function visit(node) {
+        if (node.$type_node || node.$env_type) {
+            nodes.push({node: node, type: node.$type_node, env: node.$env_type});
+        }
+        children(node).forEach(visit);
+    }
+    asts.programs.forEach(visit);
+    var globals = asts.globals, unifications = asts.unifications, superLinks = asts.superLinks;
+    return function () {
+        asts.programs.forEach(clearTypes);
+        nodes.forEach(function (saved) {
+            if (saved.type) {
+                saved.node.$type_node = saved.type;
+            }
+            if (saved.env) {
+                saved.node.$env_type = saved.env;
+            }
+        });
+        asts.globals = globals;
+        asts.unifications = unifications;
+        asts.superLinks = superLinks;
+    };
+}
+
+/** The uses of property names, as `{name, type}` objects where `type` is the type of the object, except for the
+    member expression `skip`, and the objects created by `new`, as `{instance, prototype}` types. Properties are
+    available on the objects created by a function if they are used on its prototype. */
+function findPropertyUses(ast, skip) {
+    var properties = [], constructions = [];
+    function use(name, typ) {
+        if (name !== null && name[0] !== '@' && name !== CompletionPlaceholder && typ) {
+            properties.push({name: name, type: typ.rep()});
+        }
+    }
+    function visit(node) {
+        switch (node.type) {
+            case 'MemberExpression':
+                if (node === skip) {
+                    break;
+                } else if (!node.computed) {
+                    use(node.property.name, node.object.$type_node);
+                } else if (node.property.type === 'Literal' && typeof node.property.value === 'string') {
+                    use(node.property.value, node.object.$type_node);
+                }
+                break;
+            case 'ObjectExpression':
+            case 'ObjectPattern':
+                node.properties.forEach(function (prty) {
+                    use(getPropertyName(prty), node.$type_node);
+                });
+                break;
+            case 'MethodDefinition':
+                if (node.kind !== 'constructor') {
+                    use(getPropertyName(node), node.$type_node);
+                }
+                break;
+            case 'NewExpression':
+                if (node.$type_node && node.callee.$type_node) {
+                    constructions.push({instance: node.$type_node.rep(),
+                                        prototype: node.callee.$type_node.getPrty("prototype").rep()});
+                }
+                break;
+        }
+        children(node).forEach(visit);
+    }
+    visit(ast);
+    return {properties: properties, constructions: constructions};
+}
+
+/** Properties of the given receiver type starting with `prefix`, most used first. `member` is the member
+    expression being completed; the partially typed name is not a completion unless it is used elsewhere. */
+function getCompletions(ast, typ, prefix, member) {
+    var uses = findPropertyUses(ast, member);
+    var types = [typ];
+    uses.constructions.forEach(function (construction) {
+        if (construction.instance === typ && types.indexOf(construction.prototype) === -1) {
+            types.push(construction.prototype);
+        }
+    });
+    var counts = new Map;
+    uses.properties.forEach(function (use) {
+        if (types.indexOf(use.type) !== -1) {
+            counts.put(use.name, (counts.get(use.name) || 0) + 1);
+        }
+    });
+    var names = new Map;
+    types.forEach(function (typ) {
+        typ.prty.forEach(function (name) {
+            if (name[0] !== '@' && name !== CompletionPlaceholder && name.indexOf(prefix) === 0) {
+                names.put(name, true);
+            }
+        });
+    });
+    var result = [];
+    names.forEach(function (name) {
+        var count = counts.get(name) || 0;
+        if (count > 0 || name !== prefix) {
+            result.push({name: name, count: count});
+        }
+    });
+    return result.sort(function (x,y) {
+        return y.count - x.count || (x.name < y.name ? -1 : x.name > y.name ? 1 : 0);
+    });
+}
+
+// Public API
+// -----------------------------------------------
+// `JavaScriptBuffer` provides an AST-agnostic interface that deals with abstract file names
+// and source code offsets instead of node pointers. Abstract file names are strings used to
+// uniquely identify a script loaded into the buffer; they need not be paths in any file system.
+// We use the following two types to describe ranges in the source code.
+//
+//     type Range = { range:int[2], 
+//                    loc: { start:Loc, 
 //                           end:Loc }}
 //     type Loc = {line:int, column:int}
 // 
 function JavaScriptBuffer() {
-    this.asts = {type:'ProgramCollection', programs:[]};
+    this.asts = {type:'ProgramCollection', programs:[], $models:[ECMAScriptModel, DOMModel], $global_links:[],
+                 $property_name_arguments:copyPropertyNameArguments()};
+    this.moduleResolver = defaultModuleResolver;
+    this.options = new Map; // options given for each file
+    this.sources = new Map; // source code of each file
 }
 
+/** Sets the function used to find the file referred to by an import or export declaration.
+    It is called as `resolver(source, file, files)` where `source` is the module source string, `file` is
+    the importing file, and `files` lists the files in this buffer. It should return a file name or null. */
+JavaScriptBuffer.prototype.setModuleResolver = function(resolver) {
+    this.moduleResolver = resolver || defaultModuleResolver;
+    this.asts.$inferred = false;
+};
+
+/** Sets the library models used by type inference (see Library Models). By default, the ECMAScript and DOM models
+    are used, the latter only for browser pages; they are available as `JavaScriptBuffer.ECMAScriptModel` and
+    `JavaScriptBuffer.DOMModel`. */
+JavaScriptBuffer.prototype.setLibraryModels = function(models) {
+    this.asts.$models = models.slice();
+    this.asts.$inferred = false;
+};
+
+/** Adds a library model to those used by type inference. It takes precedence over the models already used. */
+JavaScriptBuffer.prototype.addLibraryModel = function(model) {
+    this.asts.$models.unshift(model);
+    this.asts.$inferred = false;
+};
+
+/** Adds a function taking a property name to the catalogue of this buffer (see Property-Name Arguments).
+    `path` names the function as in library models, and `entry` is `{property, object, elements}`. */
+JavaScriptBuffer.prototype.addPropertyNameArgument = function(path, entry) {
+    this.asts.$property_name_arguments[path] = entry;
+    this.asts.$inferred = false;
+};
+
+/** Makes the global variables declared in `file` visible in the global object `global_id`, as if the file was also
+    loaded into it. Calls to `importScripts` with string literal arguments are linked in this way automatically.
+    The link is kept when the file is updated, and dropped when it is removed. */
+JavaScriptBuffer.prototype.linkGlobals = function(file, global_id) {
+    this.asts.$global_links.push({file: file, global_id: global_id || "default"});
+    this.asts.$inferred = false;
+};
+
 /**  Adds a file to this buffer. 
      `file` can be any string unique to this file, typically derived from the file name.
-     Files with the same `global_id` share the same global object. */
+     Files with the same `global_id` share the same global object, and files with different ids do not.
+     HTML files, and files added with the `browser` option, make their global object that of a browser page. */
 JavaScriptBuffer.prototype.add = function(file, source_code, options) {
-    options = options || {}
+    var programs = parseFile(file, source_code, options || {}, this.asts);
+    this.options.put(file, options || {});
+    this.sources.put(file, source_code);
+    this.asts.programs.push.apply(this.asts.programs, programs);
+    this.asts.$inferred = false;
+};
+
+/** Replaces the contents of a file in this buffer with new source code, or adds the file if it is not in the buffer.
+    The file is parsed with the options it was added with, unless new `options` are given.
+    Syntax errors do not prevent the file from being updated; see `diagnostics`. */
+JavaScriptBuffer.prototype.update = function(file, source_code, options) {
+    options = options || this.options.get(file) || {};
+    var programs = parseFile(file, source_code, options, this.asts);
+    var index = removePrograms(this.asts, file);
+    if (index === -1) {
+        index = this.asts.programs.length;
+    }
+    Array.prototype.splice.apply(this.asts.programs, [index, 0].concat(programs));
+    this.options.put(file, options);
+    this.sources.put(file, source_code);
+    this.asts.$inferred = false;
+};
+
+/** Removes a file from this buffer */
+JavaScriptBuffer.prototype.remove = function(file) {
+    removePrograms(this.asts, file);
+    this.asts.$global_links = this.asts.$global_links.filter(function (link) { return link.file !== file });
+    this.options.remove(file);
+    this.sources.remove(file);
+    this.asts.$inferred = false;
+};
+
+/** Removes the programs of the given file, and returns the index of the first one, or -1 if there were none */
+function removePrograms(asts, file) {
+    var programs = asts.programs;
+    var index = -1;
+    for (var i=programs.length-1; i>=0; i--) {
+        if (programs[i].$file === file) {
+            programs.splice(i, 1);
+            index = i;
+        }
+    }
+    return index;
+}
+
+function parseFile(file, source_code, options, asts) {
     var global_id = options.global_id || "default";
     var type = options.type || "js";
+    var programs = [];
     function makeAST(code, offset) {
-        var ast = esprima.parse(code, {range:true, tolerant:true, loc:true});
+        var ast = parseWithRecovery(code, options.sourceType);
         ast.$file = file;
         ast.$offset = offset;
         ast.$global_id = global_id;
+        ast.$property_name_arguments = asts.$property_name_arguments;
+        ast.$browser = type === "html" || !!options.browser;
         injectParentPointers(ast);
         buildEnvs(ast);
         return ast
@@ -1034,18 +3947,164 @@ JavaScriptBuffer.prototype.add = function(file, source_code, options) {
                     line: linePos.line,
                     column: linePos.column
                 }
-                var ast = makeAST(source_code.substring(frag.code.start, frag.code.end), offsets)
-                this.asts.programs.push(ast)
+                programs.push(makeAST(source_code.substring(frag.code.start, frag.code.end), offsets))
             }
             break;
         case "js":
-            var ast = makeAST(source_code, {start:0, end:source_code.length, line:0, column:0})
-            this.asts.programs.push(ast);
+            programs.push(makeAST(source_code, {start:0, end:source_code.length, line:0, column:0}));
             break;
         default:
             throw new Error("Unrecognised type: " + type + ". Use html or js.");
     }
-};
+    return programs;
+}
+
+// Scripts and modules cannot be told apart syntactically, so unless the `sourceType` option is given,
+// we parse the code as a script and reparse it as a module if it contains import or export declarations.
+function parse(code, sourceType) {
+    var ast = esprima.parse(code, {range:true, tolerant:true, loc:true, sourceType:sourceType || 'script'});
+    if (!sourceType && ast.body.some(isModuleDeclaration)) {
+        try {
+            ast = esprima.parse(code, {range:true, tolerant:true, loc:true, sourceType:'module'});
+        } catch (e) {
+            ast.sourceType = 'module'; // keep the script AST
+        }
+    }
+    return ast;
+}
+// Files being edited often contain syntax errors that Esprima cannot recover from. In that case, we blank out the
+// line containing the error and try again, so the rest of the file can still be analysed. Blanking preserves the
+// offsets of the remaining code. An error at the start of a line, such as a `}` after an incomplete `foo.`, or the
+// end of the input, is usually caused by the line before it, so the nearest non-blank line before it is blanked
+// first. At the end of the input, we first try closing the brackets left open. If recovery fails, the file is
+// treated as empty.
+// The errors are stored in the `$errors` field of the program as `{message, range, loc}` objects, and the lines that
+// were blanked in its `$skipped` field as `{text, range, loc}` objects.
+var MaxRecoveryAttempts = 20;
+
+function parseWithRecovery(code, sourceType) {
+    var lineOffsets = new LineOffsets(code);
+    function makeError(e) {
+        var start = Math.min(e.index, code.length);
+        var end = start;
+        while (end < code.length && code[end] !== '\n' && code[end] !== '\r') {
+            end++;
+        }
+        while (end > start && /\s/.test(code[end-1])) {
+            end--;
+        }
+        var startPos = lineOffsets.position(start);
+        var endPos = lineOffsets.position(end);
+        return {
+            message: e.description,
+            range: [start, end],
+            loc: {
+                start: {line: startPos.line + 1, column: startPos.column},
+                end: {line: endPos.line + 1, column: endPos.column}
+            }
+        };
+    }
+    var errors = [];
+    var patched = code;
+    var lastIndex = -1;
+    var closed = false;
+    for (var attempt=0; attempt<=MaxRecoveryAttempts && patched !== null; attempt++) {
+        var ast;
+        try {
+            ast = parse(patched, sourceType);
+        } catch (e) {
+            if (typeof e.index !== 'number')
+                throw e;
+            if (attempt === 0) {
+                errors.push(makeError(e)); // later errors may be caused by the blanking
+            }
+            if (e.index >= patched.length && !closed) {
+                closed = true;
+                var withBrackets = closeBrackets(patched);
+                if (withBrackets !== null) {
+                    patched = withBrackets;
+                    continue;
+                }
+            }
+            var lineStart = Math.min(e.index, patched.length);
+            while (lineStart > 0 && /[ \t]/.test(patched[lineStart-1])) {
+                lineStart--;
+            }
+            if (lineStart > 0 && /[\r\n]/.test(patched[lineStart-1]) && e.index !== lastIndex) {
+                patched = blankLineAt(patched, lineStart-1);
+            } else {
+                patched = blankLineAt(patched, e.index);
+            }
+            lastIndex = e.index;
+            continue;
+        }
+        (ast.errors || []).forEach(function (e) {
+            errors.push(makeError(e));
+        });
+        ast.$errors = errors;
+        ast.$skipped = findSkippedLines(code, patched, lineOffsets);
+        return ast;
+    }
+    var empty = parse('', sourceType);
+    empty.$errors = errors;
+    empty.$skipped = findSkippedLines(code, '', lineOffsets);
+    return empty;
+}
+
+/** The lines of `code` that were blanked in `patched` */
+function findSkippedLines(code, patched, lineOffsets) {
+    var result = [];
+    var lines = /[^\r\n]+/g;
+    var match;
+    while ((match = lines.exec(code)) !== null) {
+        var start = match.index, end = start + match[0].length;
+        if (patched.substring(start, end) !== match[0]) {
+            var startPos = lineOffsets.position(start);
+            result.push({
+                text: match[0],
+                range: [start, end],
+                loc: {start: {line: startPos.line + 1, column: startPos.column},
+                      end: {line: startPos.line + 1, column: startPos.column + match[0].length}}
+            });
+        }
+    }
+    return result;
+}
+
+/** Replaces the non-blank line containing or preceding the given index with spaces, or returns null if there is none */
+function blankLineAt(code, index) {
+    var end = Math.min(index, code.length);
+    while (true) {
+        var start = end;
+        while (start > 0 && code[start-1] !== '\n' && code[start-1] !== '\r') {
+            start--;
+        }
+        while (end < code.length && code[end] !== '\n' && code[end] !== '\r') {
+            end++;
+        }
+        var line = code.substring(start, end);
+        if (/\S/.test(line))
+            return code.substring(0, start) + line.replace(/./g, ' ') + code.substring(end);
+        if (start === 0)
+            return null;
+        end = start - 1; // move to the end of the previous line
+        if (code[end] === '\n' && code[end-1] === '\r') {
+            end--;
+        }
+    }
+}
+
+function isModuleDeclaration(node) {
+    switch (node.type) {
+        case 'ImportDeclaration':
+        case 'ExportAllDeclaration':
+        case 'ExportNamedDeclaration':
+        case 'ExportDefaultDeclaration':
+            return true;
+        default:
+            return false;
+    }
+}
 
 /** If true, renaming the identifier at the given offset does not affect other files */
 JavaScriptBuffer.prototype.canRenameLocally = function(file, offset) {
@@ -1053,7 +4112,11 @@ JavaScriptBuffer.prototype.canRenameLocally = function(file, offset) {
     return c === 'local' || c === 'label';
 };
 
-/** Returns "local", "global", "property", or "label" or null.
+/** Returns "local", "global", "implicit", "undeclared", "builtin", "module", "property", or "label" or null.
+    "global" denotes declared global variables, "implicit" undeclared ones, and "builtin" undeclared names
+    listed in `JavaScriptBuffer.KnownGlobals`. References to undeclared names from strict mode code are
+    "undeclared" rather than "implicit", as assigning them throws an error instead of creating a global.
+    "module" denotes imported or exported names, whose renaming may affect other modules.
     For non-null return values, the identifier at the given offset can be renamed */
 JavaScriptBuffer.prototype.classify = function(file, offset) {
     var node = findNode(this.asts, file, offset)
@@ -1063,7 +4126,17 @@ JavaScriptBuffer.prototype.classify = function(file, offset) {
     if (clazz === null)
         return null;
     switch (clazz.type) {
-        case "variable": return getVarDeclScope(node).type === 'Program' ? "global" : "local";
+        case "variable":
+            var scope = getVarDeclScope(node);
+            if (isGlobalVarScope(scope, node.name)) {
+                linkModules(this.asts, this.moduleResolver); // finds the scripts loaded by importScripts
+                var kind = getGlobalKind(this.asts, node.name, scope.$global_id);
+                return kind === "implicit" && isStrict(node) ? "undeclared" : kind;
+            }
+            if (isModule(scope) && isModuleBinding(scope, node.name))
+                return "module";
+            return "local";
+        case "module": return "module";
         case "property": return "property";
         case "label": return "label";
     }
@@ -1072,6 +4145,7 @@ JavaScriptBuffer.prototype.classify = function(file, offset) {
 /** Returns null or a Range[][] object where each Range[] is a group of tokens that are related,
     and Range denotes the type {0:<start>, 1:<end>}. */
 JavaScriptBuffer.prototype.renameTokenAt = function(file,offset) {
+    linkModules(this.asts, this.moduleResolver);
     var list = computeRenaming(this.asts, file, offset);
     if (list === null)
         return null
@@ -1081,6 +4155,7 @@ JavaScriptBuffer.prototype.renameTokenAt = function(file,offset) {
 };
 
 JavaScriptBuffer.prototype.renamePropertyName = function(name) {
+    linkModules(this.asts, this.moduleResolver);
     inferTypes(this.asts);
     var list = computePropertyRenaming(this.asts, name);
     if (list === null)
@@ -1090,9 +4165,302 @@ JavaScriptBuffer.prototype.renamePropertyName = function(name) {
     return list;
 };
 
+/** Like `renameTokenAt`, but returns each group as an object `{ranges:Range[], confidence:number, reasons:Reason[]}`
+    explaining why its identifiers must be renamed together. Each reason is the unification of two types, as an object
+    `{kind:string, message:string, range:Range}` where `kind` is one of the `UnificationKinds`.
+    The confidence is a number between 0 and 1; groups with confidence 1 are not grouped because of a heuristic. */
+JavaScriptBuffer.prototype.explainRenaming = function(file, offset) {
+    linkModules(this.asts, this.moduleResolver);
+    inferTypes(this.asts);
+    var groups = computeRenaming(this.asts, file, offset);
+    if (groups === null)
+        return null;
+    return explainGroups(this.asts, groups, file, offset);
+};
+
+/** Like `renamePropertyName`, but explains each group as in `explainRenaming` */
+JavaScriptBuffer.prototype.explainPropertyName = function(name) {
+    linkModules(this.asts, this.moduleResolver);
+    inferTypes(this.asts);
+    return explainGroups(this.asts, computePropertyRenaming(this.asts, name), null, null);
+};
+
+/** Renames the identifier at the given offset to `newName`, and returns the changes to each file (see `applyRenaming`).
+    Only the group of identifiers containing the given identifier is renamed, unless `options.groups` lists the
+    indices of the groups to rename, as returned by `renameTokenAt`. Returns null if the identifier cannot be renamed.
+    Like `applyRenaming`, throws an error if `newName` is not a valid identifier name; use `checkRename` to find out
+    about other problems with the new name. */
+JavaScriptBuffer.prototype.rename = function(file, offset, newName, options) {
+    options = options || {};
+    var groups = this.renameTokenAt(file, offset);
+    if (groups === null)
+        return null;
+    var indices = options.groups;
+    if (!indices) {
+        indices = [0];
+        for (var i=0; i<groups.length; i++) {
+            if (groups[i].some(function (range) { return containsOffset(range, file, offset) })) {
+                indices = [i];
+                break;
+            }
+        }
+    }
+    var ranges = [];
+    indices.forEach(function (index) {
+        ranges.push.apply(ranges, groups[index]);
+    });
+    return this.applyRenaming(ranges, newName);
+};
+
+/** Replaces the given identifier ranges with `newName`. String literals keep their quotes, and shorthand properties
+    are expanded when only the property or only the variable is renamed.
+    Returns an array with an object `{file, edits, text}` for each changed file, where `text` is the new source code
+    and `edits` is an array of `{start:Position, end:Position, text:string}` objects sorted by offset.
+    Throws an error if `newName` is not a valid identifier name and some range is outside a string literal. */
+JavaScriptBuffer.prototype.applyRenaming = function(ranges, newName) {
+    var sources = this.sources;
+    var file2ranges = Map.groupBy(ranges, 'file');
+    var result = [];
+    file2ranges.forEach(function (file, ranges) {
+        var source = sources.get(file);
+        var edits = ranges.map(function (range) {
+            return {start: range.start, end: range.end, text: renamedText(range, newName, source)};
+        });
+        edits.sort(function (x,y) { return x.start.offset - y.start.offset });
+        edits = edits.filter(function (edit, index) { // remove duplicate ranges
+            return index === 0 || edit.start.offset >= edits[index-1].end.offset;
+        });
+        var chunks = [];
+        var offset = 0;
+        for (var i=0; i<edits.length; i++) {
+            chunks.push(source.substring(offset, edits[i].start.offset));
+            chunks.push(edits[i].text);
+            offset = edits[i].end.offset;
+        }
+        chunks.push(source.substring(offset));
+        result.push({file: file, edits: edits, text: chunks.join('')});
+    });
+    return result;
+};
+
+function containsOffset(range, file, offset) {
+    return range.file === file && range.start.offset <= offset && offset <= range.end.offset;
+}
+
+function renamedText(range, newName, source) {
+    var oldName = source.substring(range.start.offset, range.end.offset);
+    var quote = source[range.start.offset - 1];
+    if ((quote === '"' || quote === "'") && source[range.end.offset] === quote) { // string literal
+        return newName.replace(/\\/g, '\\\\').replace(quote === '"' ? /"/g : /'/g, '\\' + quote);
+    }
+    if (getNameProblem(newName, false) === "invalid") // keywords are valid property names
+        throw new Error(describeNameProblem("invalid", newName));
+    switch (range.shorthand) {
+        case "property": return newName + ": " + oldName;
+        case "variable": return oldName + ": " + newName;
+        default: return newName;
+    }
+}
+
+/** Checks whether the identifier at the given offset can be renamed to `newName`, considering the group of
+    identifiers that `rename` would rename. Returns null if the identifier cannot be renamed, and otherwise an array
+    of conflicts of type `{type:string, message:string, ranges:Range[]}`, which is empty if the renaming is safe.
+    The conflict types are "invalid", "keyword", "redeclaration", "capture", "shadow", "property", "unsafe", and
+    "skipped". */
+JavaScriptBuffer.prototype.checkRename = function(file, offset, newName) {
+    linkModules(this.asts, this.moduleResolver);
+    var conflicts = computeRenamingConflicts(this.asts, file, offset, newName);
+    if (conflicts === null)
+        return null;
+    return conflicts.map(function (conflict) {
+        var ranges = conflict.nodes;
+        identifiersToRanges(ranges);
+        return {type: conflict.type, message: conflict.message, ranges: ranges};
+    });
+};
+
+/** Returns null or a Range[] with the references to the variable, property or label at the given offset.
+    Each range has a `kind` field, which is "declaration", "write" or "read".
+    The references to a parameter include the `arguments[n]` expressions aliasing it in sloppy mode code.
+    Properties are only considered the same if their objects are inferred to have the same type. */
+JavaScriptBuffer.prototype.findReferences = function(file, offset) {
+    linkModules(this.asts, this.moduleResolver);
+    var group = computeRenamingGroupAt(this.asts, file, offset);
+    if (group === null)
+        return null;
+    var ranges = referenceRanges(group.concat(getArgumentsAliases(group)));
+    reorderGroupsStartingAt([ranges], file, offset);
+    return ranges;
+};
+
+/** Returns null or a Range[] with the declarations of the variable, property or label at the given offset.
+    A property may have several declarations. Without declarations, as for properties created by assignments and
+    implicit globals, the writes assigning a function are returned, or all the writes if none assigns a function. */
+JavaScriptBuffer.prototype.findDefinition = function(file, offset) {
+    var references = this.findReferences(file, offset);
+    if (references === null)
+        return null;
+    var declarations = references.filter(function (range) {
+        return range.kind === "declaration";
+    });
+    if (declarations.length > 0)
+        return declarations;
+    var writes = computeRenamingGroupAt(this.asts, file, offset).filter(function (node) {
+        return getReferenceKind(node) === "write";
+    });
+    var functions = writes.filter(function (node) {
+        var value = getAssignedValue(node);
+        return value !== null && (isFunction(value) || value.type === 'ClassExpression');
+    });
+    var ranges = referenceRanges(functions.length > 0 ? functions : writes);
+    reorderGroupsStartingAt([ranges], file, offset);
+    return ranges;
+};
+
+/** Returns null or the inferred type of the expression at the given offset, as an object
+    `{id:int, properties:string[], namespace:boolean, constructions:Range[]}`. */
+JavaScriptBuffer.prototype.typeAt = function(file, offset) {
+    linkModules(this.asts, this.moduleResolver);
+    inferTypes(this.asts);
+    var node = findNode(this.asts, file, offset);
+    if (node === null)
+        return null;
+    node = getTypedNode(node);
+    if (node === null)
+        return null;
+    var typ = node.$type_node.rep();
+    return describeType(typ, findConstructions(this.asts).get(typ.id));
+};
+
+/** Returns a list of all types that have properties or are constructed somewhere, described as in `typeAt` */
+JavaScriptBuffer.prototype.listTypes = function() {
+    linkModules(this.asts, this.moduleResolver);
+    inferTypes(this.asts);
+    var constructions = findConstructions(this.asts);
+    var types = [];
+    var seen = new Map;
+    function add(typ) {
+        typ = typ.rep();
+        if (seen.has(typ.id))
+            return;
+        seen.put(typ.id, true);
+        var info = describeType(typ, constructions.get(typ.id));
+        if (info.properties.length > 0 || info.constructions.length > 0) {
+            types.push(info);
+        }
+    }
+    function visit(node) {
+        if (node.$type_node) {
+            add(node.$type_node);
+        }
+        children(node).forEach(visit);
+    }
+    visit(this.asts);
+    this.asts.globals.forEach(function (global_id, t) {
+        add(t);
+    });
+    types.sort(function (x,y) { return x.id - y.id });
+    return types;
+};
+
+/** Returns null or the property names that may follow the `.` before the given offset, most used first, as
+    a list of `{name:string, count:int}` objects, where `count` is the number of uses of the property. Only names
+    starting with the partially typed name before the offset are listed.
+    The current `source_code` of the file may be given if it differs from the contents of the buffer, for instance
+    because it could not be parsed. */
+JavaScriptBuffer.prototype.completionsAt = function(file, offset, source_code) {
+    var source = source_code !== undefined ? source_code : this.sources.get(file);
+    if (source === undefined)
+        return null;
+    var completion = getCompletionSources(source, offset);
+    if (completion === null)
+        return null;
+    var asts = this.asts;
+    linkModules(asts, this.moduleResolver);
+    if (source === this.sources.get(file)) {
+        var member = findCompletedMember(asts, file, completion.start);
+        if (member !== null) {
+            inferTypes(asts);
+            return getCompletions(asts, member.object.$type_node.rep(), completion.prefix, member);
+        }
+    }
+    // Parse the patched sources first, so types are only inferred for one of them
+    var options = this.options.get(file) || {};
+    var patched = null;
+    for (var i=0; i<completion.sources.length && patched === null; i++) {
+        try {
+            patched = parseFile(file, completion.sources[i], options, asts);
+        } catch (e) {
+            continue;
+        }
+        var member = findCompletedMember({type: 'ProgramCollection', programs: patched}, file, completion.start);
+        if (member === null || member.property.name !== CompletionPlaceholder) {
+            patched = null;
+        }
+    }
+    if (patched === null)
+        return null;
+    var programs = asts.programs;
+    var inferred = asts.$inferred;
+    var restoreTypes = inferred ? saveTypes(asts) : null;
+    asts.programs = programs.filter(function (program) { return program.$file !== file }).concat(patched);
+    asts.$inferred = false;
+    try {
+        linkModules(asts, this.moduleResolver);
+        inferTypes(asts);
+        member = findCompletedMember(asts, file, completion.start);
+        return getCompletions(asts, member.object.$type_node.rep(), completion.prefix, member);
+    } finally {
+        asts.programs = programs;
+        linkModules(asts, this.moduleResolver);
+        if (restoreTypes !== null) {
+            restoreTypes();
+        }
+        asts.$inferred = inferred;
+    }
+};
+
+/** Returns the references to undeclared global variables in the given file, except built-in ones, as a list of
+    `{name:string, message:string, range:Range}` objects. Such references are often caused by a typo or a missing
+    declaration. Operands of `typeof` are not reported, as they are commonly used to test for a global.
+    Assignments inside functions to a global variable that only other files declare are also reported, as they
+    may have been meant for a local variable; they are renamed with the global variable. */
+JavaScriptBuffer.prototype.undeclaredReferences = function(file) {
+    var asts = this.asts;
+    linkModules(asts, this.moduleResolver);
+    var result = [];
+    asts.programs.forEach(function (program) {
+        if (program.$file !== file)
+            return;
+        findUndeclaredReferences(asts, program).forEach(function (node) {
+            var message = describeUndeclaredReference(asts, node);
+            result.push({name: node.name, message: message, range: identifierRange(node)});
+        });
+    });
+    return result;
+};
+
+/** Returns the syntax errors in the given file, as a list of `{message:string, range:Range}` objects.
+    Code on lines that had to be skipped because of an error is ignored by all other operations. */
+JavaScriptBuffer.prototype.diagnostics = function(file) {
+    var result = [];
+    this.asts.programs.forEach(function (program) {
+        if (program.$file !== file)
+            return;
+        program.$errors.forEach(function (error) {
+            result.push({message: error.message, range: programRange(program, error, 0)});
+        });
+    });
+    return result;
+};
+
 /** Removes all contents of the buffer */
 JavaScriptBuffer.prototype.clear = function() {
     this.asts.programs = [];
+    this.asts.$global_links = [];
+    this.options = new Map;
+    this.sources = new Map;
+    this.asts.$inferred = false;
 };
     
 function getNodeFile(node) {
@@ -1108,8 +4476,11 @@ function getProgram(node) {
     return node;
 }
 function identifierRange(node) {
-    var prog = getProgram(node);
     var delta = node.type === 'Literal' ? 1 : 0; // skip quote
+    return programRange(getProgram(node), node, delta);
+}
+/** Range of something with esprima's `range` and `loc` fields in the given program, shrunk by `delta` at both ends */
+function programRange(prog, node, delta) {
     var offset = prog.$offset.start;
     var lineOffset = prog.$offset.line;
     var columnOffset = node.loc.start.line === 1 ? prog.$offset.column : 0;
@@ -1127,12 +4498,34 @@ function identifierRange(node) {
         }
     };
 }
+// The range of a shorthand property gets a `shorthand` field if only one of its meanings is renamed:
+// "property" if only the property is renamed, or "variable" if only the variable is renamed.
 function identifiersToRanges(list) {
-    for (var i=0; i<list.length; i++) {
-        list[i] = identifierRange(list[i]);
+    var all = list.slice();
+    var nodes = all.filter(function (node) {
+        return node.type !== 'Property' || all.indexOf(node.key) === -1; // both meanings renamed
+    });
+    list.length = 0;
+    for (var i=0; i<nodes.length; i++) {
+        var node = nodes[i];
+        if (node.type === 'Property') {
+            var range = identifierRange(node.key);
+            range.shorthand = "property";
+        } else {
+            var range = identifierRange(node);
+            var shorthand = getShorthandProperty(node);
+            if (shorthand !== null && all.indexOf(shorthand) === -1) {
+                range.shorthand = "variable";
+            }
+        }
+        list.push(range);
     }
 }
     
+JavaScriptBuffer.ECMAScriptModel = ECMAScriptModel;
+JavaScriptBuffer.KnownGlobals = KnownGlobals;
+JavaScriptBuffer.DOMModel = DOMModel;
+
 return JavaScriptBuffer
 
 })); // end of UMD